@@ -0,0 +1,106 @@
+import { getRecommendation } from './engine';
+
+/**
+ * OptimalSwipe Missed-Rewards Audit
+ * Replays every recorded purchase through the engine as of its date, with
+ * caps as they stood then (only earlier payments count), and compares the
+ * card actually used with the best card in the wallet. Card offers and
+ * welcome bonuses are left out: they depend on what was loaded or open at
+ * the time, so the audit compares earning rates only.
+ */
+
+// Payments older than this can't affect any cap or boost window
+const LOOKBACK_DAYS = 370;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Largest missed value first, at most `limit` groups
+function groupMissed(entries, keyOf, limit) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        if (entry.missed <= 0) return;
+        const key = keyOf(entry.payment);
+        const group = groups.get(key) || { key, missed: 0, count: 0 };
+        group.missed += entry.missed;
+        group.count++;
+        groups.set(key, group);
+    });
+    return [...groups.values()].sort((a, b) => b.missed - a.missed).slice(0, limit);
+}
+
+// `onProgress(done, total)` is awaited every few payments, so a caller can
+// update the UI and yield between batches.
+// Returns { entries, totalActual, totalOptimal, totalMissed, score,
+// byMerchant, byCategory, monthly, skipped }. Each entry is
+// { payment, actual, optimal, actualValue, optimalValue, missed } (the
+// options compared), `score` is the percentage of the optimal value actually
+// earned, and monthly is [{ month: 'YYYY-MM', actual, optimal, missed, score }]
+// oldest first. Payments on removed cards are counted in `skipped`.
+export async function auditPayments(cards, payments, settings = {}, { onProgress, limit = 5 } = {}) {
+    const history = [...payments].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const purchases = history.filter(p => p.amount > 0);
+    const auditSettings = { ...settings, offers: [], prioritizeWelcomeBonus: false };
+    const entries = [];
+    let skipped = 0;
+    let windowStart = 0;
+    let windowEnd = 0;
+
+    for (let i = 0; i < purchases.length; i++) {
+        const payment = purchases[i];
+        const paidAt = new Date(payment.date);
+        const card = cards.find(c => c.id === payment.cardId);
+
+        // Earlier payments within reach of any cap window (history is sorted)
+        while (windowEnd < history.length && new Date(history[windowEnd].date) <= paidAt) windowEnd++;
+        while (windowStart < windowEnd && paidAt - new Date(history[windowStart].date) > LOOKBACK_DAYS * DAY_MS) windowStart++;
+
+        if (!card) {
+            skipped++; // Card has since been removed
+        } else {
+            const earlier = history.slice(windowStart, windowEnd).filter(p => p.id !== payment.id);
+            const { options } = await getRecommendation(cards, earlier, {
+                category: payment.category,
+                amount: payment.amount,
+                paymentMethod: payment.method,
+                merchant: payment.merchant,
+                date: payment.date
+            }, auditSettings);
+
+            const optimal = options[0] || null;
+            const actual = options.find(o => o.card.id === card.id && o.rewardIndex === payment.rewardIndex) ||
+                options.find(o => o.card.id === card.id) || null;
+            const actualValue = actual ? actual.estimatedValue : 0;
+            const optimalValue = optimal ? optimal.estimatedValue : 0;
+            entries.push({ payment, actual, optimal, missed: Math.max(0, optimalValue - actualValue), actualValue, optimalValue });
+        }
+
+        if (onProgress && (i % 25 === 24 || i === purchases.length - 1)) await onProgress(i + 1, purchases.length);
+    }
+
+    const months = new Map();
+    entries.forEach(({ payment, actualValue, optimalValue, missed }) => {
+        const date = new Date(payment.date);
+        const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        const entry = months.get(month) || { month, actual: 0, optimal: 0, missed: 0 };
+        entry.actual += actualValue;
+        entry.optimal += optimalValue;
+        entry.missed += missed;
+        months.set(month, entry);
+    });
+    const monthly = [...months.values()]
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(m => ({ ...m, score: m.optimal > 0 ? Math.min(100, (m.actual / m.optimal) * 100) : 100 }));
+
+    const totalActual = entries.reduce((sum, e) => sum + e.actualValue, 0);
+    const totalOptimal = entries.reduce((sum, e) => sum + e.optimalValue, 0);
+    return {
+        entries,
+        totalActual,
+        totalOptimal,
+        totalMissed: entries.reduce((sum, e) => sum + e.missed, 0),
+        score: totalOptimal > 0 ? Math.min(100, (totalActual / totalOptimal) * 100) : 100,
+        byMerchant: groupMissed(entries, p => p.merchant || 'Unknown merchant', limit),
+        byCategory: groupMissed(entries, p => p.category || 'Uncategorised', limit),
+        monthly,
+        skipped
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * OptimalSwipe Welcome Bonuses
+ * A card can carry one sign-up bonus record, `card.welcomeBonus`:
+ *   { minSpend, startDate, deadline, bonus, unit }
+ * e.g. "spend $4,000 in 3 months for 60k points" is
+ *   { minSpend: 4000, startDate: '2026-10-01', deadline: '2026-12-31', bonus: 60000, unit: 'points' }
+ * Progress is replayed from the card's recorded payments.
+ */
+export const BONUS_STATUS = {
+    EARNED: 'earned',
+    MISSED: 'missed',
+    AT_RISK: 'at-risk',
+    ON_TRACK: 'on-track'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A pace needs a couple of weeks of spending behind it to mean anything
+const PACE_MIN_DAYS = 14;
+// Until then, at risk means needing more than this per day (~$3,000 a month)
+const AT_RISK_DAILY_SPEND = 100;
+
+// "YYYY-MM-DD" as a local date
+function parseLocalDate(text) {
+    const [year, month, day] = (text || '').split('-').map(Number);
+    return year && month && day ? new Date(year, month - 1, day) : null;
+}
+
+// Where a card stands on its welcome bonus, or null if it has none (or its
+// deadline can't be read). At risk means spending at the card's pace so far
+// won't reach the minimum before the deadline; before there is a pace to
+// measure, that the remaining spend needs more than AT_RISK_DAILY_SPEND a day.
+export function getWelcomeBonusProgress(card, payments, date = new Date()) {
+    const bonus = card.welcomeBonus;
+    if (!bonus || !bonus.minSpend || !bonus.deadline) return null;
+
+    const now = new Date(date);
+    const start = parseLocalDate(bonus.startDate || card.accountOpenDate);
+    const deadline = parseLocalDate(bonus.deadline);
+    if (!deadline) return null;
+    const end = new Date(deadline.getFullYear(), deadline.getMonth(), deadline.getDate() + 1);
+
+    const spent = payments
+        .filter(p => {
+            if (p.cardId !== card.id) return false;
+            const paidAt = new Date(p.date);
+            return (!start || paidAt >= start) && paidAt < end;
+        })
+        .reduce((sum, p) => sum + p.amount, 0);
+    const remaining = Math.max(0, bonus.minSpend - spent);
+    const daysLeft = Math.max(0, Math.ceil((end - now) / DAY_MS));
+    const daysElapsed = start && now >= start ? Math.max(1, Math.ceil((now - start) / DAY_MS)) : null;
+    const projectedSpend = daysElapsed ? spent + (spent / daysElapsed) * daysLeft : spent;
+    const requiredDailySpend = daysLeft > 0 ? remaining / daysLeft : remaining;
+    const atRisk = daysElapsed >= PACE_MIN_DAYS ?
+        projectedSpend < bonus.minSpend :
+        requiredDailySpend > AT_RISK_DAILY_SPEND;
+
+    let status;
+    if (remaining === 0) status = BONUS_STATUS.EARNED;
+    else if (now >= end) status = BONUS_STATUS.MISSED;
+    else if (atRisk) status = BONUS_STATUS.AT_RISK;
+    else status = BONUS_STATUS.ON_TRACK;
+
+    return {
+        minSpend: bonus.minSpend,
+        spent,
+        remaining,
+        daysLeft,
+        projectedSpend,
+        requiredDailySpend,
+        status
+    };
+}
+
+export function describeBonusStatus(progress) {
+    switch (progress.status) {
+        case BONUS_STATUS.EARNED:
+            return 'Bonus earned';
+        case BONUS_STATUS.MISSED:
+            return 'Deadline passed';
+        case BONUS_STATUS.AT_RISK:
+            return `At risk: ~$${Math.ceil(progress.requiredDailySpend).toLocaleString()}/day needed`;
+        default:
+            return 'On track';
+    }
+}
@@ -0,0 +1,89 @@
+import { resolveCategory, isCategoryWithin } from './categories';
+import { cardPresets } from './presets';
+
+/**
+ * OptimalSwipe Boost Rules
+ * Date-based earning multipliers declared on a card (`card.boosts`) or a
+ * single tier (`reward.boosts`). Each rule has a `schedule`:
+ *   { type: 'day-of-month', day: 1 }
+ *   { type: 'weekday', days: [5, 6] }            (0 = Sunday)
+ *   { type: 'date-range', start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
+ *   { type: 'promo', start, end }                (a named date range)
+ * plus `multiplier` (2 doubles earnings), optional `maxBonus` (bonus
+ * points/dollars per occurrence) and `excludeCategoryIds`.
+ */
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// "YYYY-MM-DD" as a local date (new Date('2026-10-01') would be UTC midnight)
+function parseLocalDate(text) {
+    const [year, month, day] = (text || '').split('-').map(Number);
+    return year && month && day ? new Date(year, month - 1, day) : null;
+}
+
+// The occurrence of a boost containing `date` as { start, end } (end
+// exclusive), or null when the boost isn't running then.
+export function getBoostWindow(boost, date = new Date()) {
+    const now = new Date(date);
+    const schedule = boost.schedule || {};
+    const today = startOfDay(now);
+
+    switch (schedule.type) {
+        case 'day-of-month':
+            return now.getDate() === schedule.day ? { start: today, end: addDays(today, 1) } : null;
+        case 'weekday':
+            return (schedule.days || []).includes(now.getDay()) ? { start: today, end: addDays(today, 1) } : null;
+        case 'date-range':
+        case 'promo': {
+            const start = parseLocalDate(schedule.start);
+            const lastDay = parseLocalDate(schedule.end);
+            if (!start || !lastDay) return null;
+            const end = addDays(lastDay, 1);
+            return now >= start && now < end ? { start, end } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// True when a boost's category exclusions cover the purchase. Without a
+// purchase category, fall back to the categories of the tier it earns under.
+export function isExcludedFromBoost(boost, reward, { category, categoryId } = {}) {
+    const excluded = boost.excludeCategoryIds || [];
+    if (excluded.length === 0) return false;
+
+    const purchaseCategoryId = categoryId || resolveCategory(category);
+    const coveredIds = purchaseCategoryId ? [purchaseCategoryId] : (reward.categoryIds || []);
+    return coveredIds.length > 0 &&
+        coveredIds.every(id => excluded.some(excludedId => isCategoryWithin(id, excludedId)));
+}
+
+// Boosts from the card and the tier that apply to a purchase on `date`.
+// Returns [{ boost, window }].
+export function getActiveBoosts(card, reward, purchase = {}, date = new Date()) {
+    return [...(card.boosts || []), ...(reward.boosts || [])]
+        .map(boost => ({ boost, window: getBoostWindow(boost, date) }))
+        .filter(({ boost, window }) => window && !isExcludedFromBoost(boost, reward, purchase));
+}
+
+// Every boost on a card running on `date`, for badges
+export function getCardActiveBoosts(card, date = new Date()) {
+    return [...(card.boosts || []), ...(card.rewards || []).flatMap(r => r.boosts || [])]
+        .filter(boost => getBoostWindow(boost, date));
+}
+
+// Cards saved with the old `rentDayBoost` flag get the Bilt preset's Rent Day
+// rule. Returns true if any card was changed.
+export function migrateBoostRules(cards) {
+    const bilt = cardPresets.find(p => p.id === 'bilt-mastercard');
+    let changed = false;
+    cards.forEach(card => {
+        if (!('rentDayBoost' in card)) return;
+        if (card.rentDayBoost && !(card.boosts || []).length) {
+            card.boosts = JSON.parse(JSON.stringify(bilt.boosts));
+        }
+        delete card.rentDayBoost;
+        changed = true;
+    });
+    return changed;
+}
@@ -0,0 +1,82 @@
+/**
+ * OptimalSwipe Category Taxonomy
+ * Canonical spending categories used by presets, forms and the engine.
+ * `parent` nests a category under a broader one (a Flights purchase also
+ * counts as Travel); `synonyms` are alternate spellings users may type.
+ */
+export const categories = [
+    { id: 'dining', name: 'Dining', synonyms: ['restaurants', 'restaurant', 'food', 'takeout', 'bars', 'cafes', 'coffee shops'] },
+    { id: 'food-delivery', name: 'Food Delivery', parent: 'dining', synonyms: ['delivery', 'food delivery apps'] },
+    { id: 'groceries', name: 'Groceries', synonyms: ['grocery', 'grocery stores', 'supermarkets', 'supermarket', 'u.s. supermarkets'] },
+    { id: 'wholesale-clubs', name: 'Wholesale Clubs', synonyms: ['wholesale club', 'warehouse clubs', 'warehouse club'] },
+    { id: 'gas', name: 'Gas & EV', synonyms: ['gas', 'fuel', 'gas stations', 'gas station', 'petrol', 'gasoline'] },
+    { id: 'ev-charging', name: 'EV Charging', parent: 'gas', synonyms: ['ev', 'electric vehicle charging', 'charging'] },
+    { id: 'travel', name: 'Travel', synonyms: ['trips', 'vacation'] },
+    { id: 'flights', name: 'Flights', parent: 'travel', synonyms: ['airfare', 'airline', 'airlines', 'air travel'] },
+    { id: 'hotels', name: 'Hotels', parent: 'travel', synonyms: ['hotel', 'lodging', 'motels', 'vacation rentals'] },
+    { id: 'car-rentals', name: 'Car Rentals', parent: 'travel', synonyms: ['car rental', 'rental cars', 'rentals'] },
+    { id: 'transit', name: 'Transit', parent: 'travel', synonyms: ['rideshare', 'public transit', 'trains', 'parking', 'tolls', 'taxis'] },
+    { id: 'streaming', name: 'Streaming', synonyms: ['streaming services', 'streaming subscriptions'] },
+    { id: 'entertainment', name: 'Entertainment', synonyms: ['movies', 'concerts', 'events', 'tickets'] },
+    { id: 'drugstores', name: 'Drug Stores', synonyms: ['drugstore', 'drug store', 'pharmacy', 'pharmacies'] },
+    { id: 'online-shopping', name: 'Online Shopping', synonyms: ['online', 'online retail', 'ecommerce', 'e-commerce'] },
+    { id: 'home-improvement', name: 'Home Improvement', synonyms: ['hardware stores', 'hardware'] },
+    { id: 'department-stores', name: 'Department Stores', synonyms: ['department store', 'retail'] },
+    { id: 'utilities', name: 'Utilities', synonyms: ['phone', 'internet', 'cable', 'wireless'] },
+    { id: 'rent', name: 'Rent', synonyms: ['housing', 'rent payments'] }
+];
+
+const normalize = text => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Canonical id for a single category name or synonym, or null if unknown
+export function resolveCategory(text) {
+    const value = normalize(text);
+    if (!value) return null;
+    const category = categories.find(c =>
+        c.id === value ||
+        normalize(c.name) === value ||
+        (c.synonyms || []).includes(value)
+    );
+    return category ? category.id : null;
+}
+
+// Map a free-text tier label like "Grocery stores & Wholesale clubs" onto
+// canonical ids. Unrecognised parts are dropped.
+export function mapCategoryText(text) {
+    const whole = resolveCategory(text);
+    if (whole) return [whole];
+
+    const ids = normalize(text)
+        .split(/,|&|\/|\band\b/)
+        .map(part => resolveCategory(part))
+        .filter(Boolean);
+    return [...new Set(ids)];
+}
+
+export function getCategory(id) {
+    return categories.find(c => c.id === id) || null;
+}
+
+// True when `id` is `ancestorId` or nested anywhere beneath it
+export function isCategoryWithin(id, ancestorId) {
+    let current = getCategory(id);
+    while (current) {
+        if (current.id === ancestorId) return true;
+        current = current.parent ? getCategory(current.parent) : null;
+    }
+    return false;
+}
+
+// Add canonical `categoryIds` to reward tiers saved before the taxonomy existed.
+// Returns true if any tier was changed.
+export function migrateRewardCategories(cardsOrPresets) {
+    let changed = false;
+    cardsOrPresets.forEach(card => {
+        (card.rewards || []).forEach(reward => {
+            if (Array.isArray(reward.categoryIds)) return;
+            reward.categoryIds = mapCategoryText(reward.category);
+            changed = true;
+        });
+    });
+    return changed;
+}
@@ -0,0 +1,47 @@
+/**
+ * OptimalSwipe Payment Edits
+ * Editing a payment keeps its id and original timestamp and appends to
+ * `payment.edits`:
+ *   { at, changes: { field: { from, to } } }
+ * `updatedAt` mirrors the latest edit so a sync merge can tell which copy of
+ * a payment is newer, and replay `edits` to see what changed.
+ */
+export const EDITABLE_FIELDS = ['amount', 'date', 'category', 'merchant', 'cardId', 'cardName', 'method', 'notes'];
+
+// Field-by-field differences between a payment and proposed values; fields
+// missing from `values` are left alone.
+export function diffPayment(payment, values) {
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (!(field in values)) return;
+        const from = payment[field] ?? '';
+        const to = values[field] ?? '';
+        if (from !== to) changes[field] = { from: payment[field] ?? null, to: values[field] ?? null };
+    });
+    return changes;
+}
+
+// A copy of `payment` with the edit applied and recorded, or the payment
+// itself when nothing changed.
+export function applyPaymentEdit(payment, values, date = new Date()) {
+    const changes = diffPayment(payment, values);
+    if (Object.keys(changes).length === 0) return payment;
+
+    const at = new Date(date).toISOString();
+    const updated = { ...payment, updatedAt: at, edits: [...(payment.edits || []), { at, changes }] };
+    Object.entries(changes).forEach(([field, { to }]) => {
+        if (to === null) delete updated[field];
+        else updated[field] = to;
+    });
+    return updated;
+}
+
+// Edits that move a payment to another tier: anything the tier match reads
+export function affectsRewardTier(changes) {
+    return ['category', 'merchant', 'cardId', 'method', 'date'].some(field => field in changes);
+}
+
+// Edits that can change which card offers a payment redeems
+export function affectsOfferRedemption(changes) {
+    return ['merchant', 'cardId', 'amount', 'date'].some(field => field in changes);
+}
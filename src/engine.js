@@ -1,62 +1,209 @@
 import { storage } from './storage';
+import { resolveRewardCurrency, getCentsPerPoint } from './valuations';
+import { resolveCategory, mapCategoryText, isCategoryWithin, getCategory } from './categories';
+import { lookupMerchant, getMerchantCategoryForCard, normalizeMerchant } from './merchants';
+import { getQuarterKey, formatQuarter, getRotatingCategoryIds, isQuarterActivated } from './rotations';
+import { getActiveBoosts, isExcludedFromBoost } from './boosts';
+import { findQualifyingOffers, getOfferValue, describeOffer, redeemOffers } from './offers';
+import { getWelcomeBonusProgress, BONUS_STATUS } from './bonuses';
+
+// Machine-readable codes for why a card or tier was left out of a recommendation
+export const REJECTION_CODES = {
+    NO_REWARDS: 'no-rewards',
+    NO_MATCHING_TIER: 'no-matching-tier',
+    NO_ELIGIBLE_TIER: 'no-eligible-tier',
+    METHOD_INCOMPATIBLE: 'method-incompatible',
+    PORTAL_REQUIRED: 'portal-required',
+    CAP_EXHAUSTED: 'cap-exhausted',
+    TIER_EXCLUSION: 'tier-exclusion',
+    ROTATION_NOT_ACTIVATED: 'rotation-not-activated'
+};
+
+const MERCHANT_FLAG_LABELS = {
+    'superstore': 'superstores',
+    'warehouse-club': 'warehouse clubs',
+    'amex-grocery': 'Amex-coded supermarkets'
+};
+
+const METHOD_LABELS = {
+    'apple-pay': 'Apple Pay',
+    'physical-card': 'the physical card'
+};
+
+const PAYMENT_METHODS = Object.keys(METHOD_LABELS);
+
+// Human-readable explanation for a rejection record, shared by every caller
+export function describeRejection(rejection) {
+    const { details = {} } = rejection;
+    switch (rejection.code) {
+        case REJECTION_CODES.NO_REWARDS:
+            return 'Card has no reward tiers configured';
+        case REJECTION_CODES.NO_MATCHING_TIER:
+            return 'No reward tier covers this purchase';
+        case REJECTION_CODES.NO_ELIGIBLE_TIER:
+            return 'Every matching tier was excluded';
+        case REJECTION_CODES.METHOD_INCOMPATIBLE:
+            return `Requires ${METHOD_LABELS[details.requiredMethod] || details.requiredMethod}`;
+        case REJECTION_CODES.PORTAL_REQUIRED:
+            return `Requires booking via ${details.requiredPortal}`;
+        case REJECTION_CODES.CAP_EXHAUSTED:
+            return `$${details.spendingCap.toLocaleString()} ${details.capPeriod} ${details.capGroup ? `"${details.capGroup}" group ` : ''}cap exhausted`;
+        case REJECTION_CODES.TIER_EXCLUSION: {
+            const { type, value } = details.exclusion;
+            if (type === 'category') {
+                const excludedCategory = getCategory(value);
+                return `Tier excludes ${excludedCategory ? excludedCategory.name : value}`;
+            }
+            if (type === 'merchantFlag') return `Tier excludes ${MERCHANT_FLAG_LABELS[value] || value}`;
+            return `Tier excludes ${value}`;
+        }
+        case REJECTION_CODES.ROTATION_NOT_ACTIVATED:
+            return `${formatQuarter(details.quarter)} bonus not activated`;
+        default:
+            return rejection.code;
+    }
+}
 
 // Recommendation Engine Logic
-export async function getRecommendation(cards, payments, purchaseDetails) {
+// Returns { options, rejections, merchantInfo, splitPlan }: eligible options sorted
+// best-first, card- and tier-level records explaining everything that was skipped,
+// the merchant directory entry for the purchase (used for its category when none
+// was given), and a split-tender plan when `purchaseDetails.splitTender` is set.
+// `settings` carries user data from the vault: { valuations, merchantOverrides, offers,
+// prioritizeWelcomeBonus }.
+export async function getRecommendation(cards, payments, purchaseDetails, settings = {}) {
     const { category, amount, paymentMethod, merchant, context } = purchaseDetails;
+    const { valuations = {}, merchantOverrides = [], offers = [], prioritizeWelcomeBonus = true } = settings;
+    const purchaseDate = purchaseDetails.date ? new Date(purchaseDetails.date) : new Date();
 
     if (cards.length === 0) {
-        return { error: 'Please add some credit cards first to get recommendations.' };
+        return {
+            error: 'Please add some credit cards first to get recommendations.',
+            options: [],
+            rejections: [],
+            merchantInfo: null,
+            splitPlan: null
+        };
     }
 
+    // Merchant directory supplies flags for tier exclusions, and the category when none was given
+    const merchantInfo = merchant ? lookupMerchant(merchant, merchantOverrides) : null;
+
     // Smart fallback logic that considers payment method compatibility
     const eligibleOptions = [];
+    const rejections = [];
+
+    const reject = (card, code, reward = null, rewardIndex = null, details = {}) => {
+        const rejection = {
+            level: reward ? 'tier' : 'card',
+            code,
+            cardId: card.id,
+            cardName: card.name,
+            rewardIndex,
+            tierCategory: reward ? reward.category : null,
+            details
+        };
+        rejection.message = describeRejection(rejection);
+        rejections.push(rejection);
+    };
 
     cards.forEach(card => {
-        if (!card.rewards || card.rewards.length === 0) return;
+        if (!card.rewards || card.rewards.length === 0) {
+            reject(card, REJECTION_CODES.NO_REWARDS);
+            return;
+        }
+
+        const optionCountBefore = eligibleOptions.length;
+        let relevantTiers = 0;
+        const cardPurchase = merchantInfo ? {
+            ...purchaseDetails,
+            categoryId: category ? purchaseDetails.categoryId : getMerchantCategoryForCard(merchantInfo, card),
+            merchantFlags: merchantInfo.flags
+        } : purchaseDetails;
 
-        card.rewards.forEach(reward => {
-            // Check payment method compatibility
-            const methodCompatible = reward.method === 'any' ||
-                reward.method === paymentMethod ||
-                paymentMethod === 'any';
+        // Card-linked offers pay out on top of whichever tier the purchase earns under
+        const offerCentsPerPoint = getCentsPerPoint(resolveRewardCurrency(card, { unit: 'points' }), valuations);
+        const cardOffers = findQualifyingOffers(offers, card, { merchant, amount, date: purchaseDate }).map(offer => ({
+            id: offer.id,
+            merchant: offer.merchant,
+            description: describeOffer(offer),
+            ...getOfferValue(offer, amount, offerCentsPerPoint)
+        }));
+        const offerValue = cardOffers.reduce((sum, o) => sum + o.value, 0);
 
-            if (!methodCompatible) return; // Skip incompatible payment methods
+        // While a welcome bonus is at risk, credit the purchase with the share of
+        // the bonus it secures so the card climbs the ranking
+        const bonusProgress = prioritizeWelcomeBonus ? getWelcomeBonusProgress(card, payments, purchaseDate) : null;
+        let welcomeBonus = null;
+        if (bonusProgress && bonusProgress.status === BONUS_STATUS.AT_RISK) {
+            const { bonus, unit = 'points' } = card.welcomeBonus;
+            const bonusCentsPerPoint = getCentsPerPoint(resolveRewardCurrency(card, { unit }), valuations);
+            const bonusValue = bonus * (bonusCentsPerPoint / 100);
+            welcomeBonus = {
+                remaining: bonusProgress.remaining,
+                daysLeft: bonusProgress.daysLeft,
+                value: bonusValue * (Math.min(amount, bonusProgress.remaining) / bonusProgress.minSpend)
+            };
+        }
+        const welcomeBonusValue = welcomeBonus ? welcomeBonus.value : 0;
 
-            // Check merchant match
-            const merchantMatch = !merchant || !reward.merchants ||
-                reward.merchants.toLowerCase().includes(merchant.toLowerCase()) ||
-                merchant.toLowerCase().includes(reward.merchants.toLowerCase());
+        card.rewards.forEach((reward, rewardIndex) => {
+            const match = matchReward(reward, cardPurchase, card);
+            if (!match.relevant) return; // Tier doesn't cover this purchase
+            relevantTiers++;
 
-            // Check category match
-            const categoryMatch = reward.category.toLowerCase().includes(category.toLowerCase()) ||
-                category.toLowerCase().includes(reward.category.toLowerCase());
+            if (match.exclusion) {
+                reject(card, REJECTION_CODES.TIER_EXCLUSION, reward, rewardIndex, {
+                    exclusion: match.exclusion
+                });
+                return; // Card terms carve this purchase out of the tier
+            }
+
+            if (!match.rotationActivated) {
+                reject(card, REJECTION_CODES.ROTATION_NOT_ACTIVATED, reward, rewardIndex, {
+                    quarter: getQuarterKey(purchaseDate)
+                });
+                return; // Rotating bonus needs activating for this quarter
+            }
 
-            // Check portal match
-            const portalMatch = !reward.portal || reward.portal === purchaseDetails.portal;
+            if (!match.methodCompatible) {
+                reject(card, REJECTION_CODES.METHOD_INCOMPATIBLE, reward, rewardIndex, {
+                    requiredMethod: reward.method,
+                    paymentMethod
+                });
+                return; // Skip incompatible payment methods
+            }
+            if (!match.portalMatch) {
+                reject(card, REJECTION_CODES.PORTAL_REQUIRED, reward, rewardIndex, {
+                    requiredPortal: reward.portal
+                });
+                return;
+            }
 
-            if ((categoryMatch || merchantMatch || reward.category.toLowerCase().includes('all')) && portalMatch) {
+            if (match.matches) {
                 // Check if cap is available
                 const multiplier = card.rewardMultiplier || 1.0;
                 let effectiveRate = reward.rate * multiplier;
-
-                // Handle Bilt Rent Day (Double Points on 1st of month, except Rent)
-                const isFirstOfMonth = new Date().getDate() === 1;
-                if (isFirstOfMonth && card.rentDayBoost && reward.category.toLowerCase() !== 'rent') {
-                    effectiveRate *= 2;
-                }
-
                 let capStatus = 'unlimited';
+                let capRemaining = null;
 
-                if (reward.spendingCap) {
-                    const spent = reward.combinedCap ?
-                        getSpendingByCardAndPeriod(payments, card.id, reward.capPeriod, true) :
-                        getSpendingByCardAndPeriod(payments, card.id, reward.capPeriod);
-                    const remaining = reward.spendingCap - spent;
+                const tierCap = getTierCap(card, rewardIndex);
+                if (tierCap) {
+                    const spent = getSpendingByCardAndPeriod(payments, card, tierCap, purchaseDate);
+                    const remaining = tierCap.spendingCap - spent;
+                    capRemaining = Math.max(0, remaining);
 
                     if (remaining <= 0) {
+                        reject(card, REJECTION_CODES.CAP_EXHAUSTED, reward, rewardIndex, {
+                            spendingCap: tierCap.spendingCap,
+                            capPeriod: tierCap.capPeriod,
+                            capGroup: tierCap.group,
+                            spent
+                        });
                         return; // Skip - cap exhausted
                     } else if (remaining < amount) {
-                        const fallbackReward = card.rewards.find(r => r.category.toLowerCase().includes('all'));
+                        // Spend past the cap earns the card's base rate for this payment method
+                        const fallbackReward = getBaseTier(card, paymentMethod !== 'any' ? paymentMethod : reward.method);
                         const fallbackRate = (fallbackReward ? fallbackReward.rate : 1) * multiplier;
 
                         const highRateEarnings = remaining * (reward.rate * multiplier / 100);
@@ -68,52 +215,608 @@ export async function getRecommendation(cards, payments, purchaseDetails) {
                     }
                 }
 
-                const cashbackValue = amount * (effectiveRate / 100);
+                // Points/miles are earned per dollar (3x = 3 points), cashback as a percentage.
+                // Both are converted to dollars so different currencies rank fairly.
+                const unit = reward.unit || 'cashback';
+                const currency = resolveRewardCurrency(card, reward);
+                const centsPerPoint = getCentsPerPoint(currency, valuations);
+                const baseAmount = unit === 'cashback' ?
+                    amount * (effectiveRate / 100) :
+                    amount * effectiveRate;
+
+                // Date-based boosts multiply earnings, each up to its own bonus cap
+                const boosts = getActiveBoosts(card, reward, cardPurchase, purchaseDate).map(({ boost, window }) => {
+                    let bonus = baseAmount * (boost.multiplier - 1);
+                    if (boost.maxBonus) {
+                        // A tier's own boost only pays out on that tier's purchases
+                        const tierIndex = (reward.boosts || []).includes(boost) ? rewardIndex : null;
+                        const used = getBoostBonusUsed(payments, card, boost, window, tierIndex);
+                        bonus = Math.max(0, Math.min(bonus, boost.maxBonus - used));
+                    }
+                    return { id: boost.id, name: boost.name, bonus };
+                });
+                const boostBonus = boosts.reduce((sum, b) => sum + b.bonus, 0);
+                const rewardAmount = baseAmount + boostBonus;
+                if (boostBonus > 0) {
+                    effectiveRate = unit === 'cashback' ? (rewardAmount / amount) * 100 : rewardAmount / amount;
+                }
+                const estimatedValue = rewardAmount * (centsPerPoint / 100) + offerValue + welcomeBonusValue;
 
                 eligibleOptions.push({
                     card: card,
                     reward: reward,
+                    rewardIndex: rewardIndex,
                     effectiveRate: effectiveRate,
-                    cashbackValue: cashbackValue,
+                    rewardAmount: rewardAmount,
+                    estimatedValue: estimatedValue,
+                    currency: currency,
+                    centsPerPoint: centsPerPoint,
                     capStatus: capStatus,
-                    categoryMatch: categoryMatch,
-                    merchantMatch: merchantMatch,
-                    portalMatch: portalMatch,
-                    unit: reward.unit || 'cashback'
+                    categoryMatch: match.categoryMatch,
+                    merchantMatch: match.merchantMatch,
+                    portalMatch: match.portalMatch,
+                    boosts: boosts,
+                    boostBonus: boostBonus,
+                    offers: cardOffers,
+                    offerValue: offerValue,
+                    welcomeBonus: welcomeBonus,
+                    capRemaining: capRemaining,
+                    unit: unit
                 });
             }
         });
+
+        // Summarise at card level when nothing on this card made the ranking
+        if (eligibleOptions.length === optionCountBefore) {
+            reject(card, relevantTiers === 0 ? REJECTION_CODES.NO_MATCHING_TIER : REJECTION_CODES.NO_ELIGIBLE_TIER);
+        }
+    });
+
+    // Sort by estimated dollar value (highest first)
+    eligibleOptions.sort((a, b) => b.estimatedValue - a.estimatedValue);
+
+    const splitPlan = purchaseDetails.splitTender ? getSplitPlan(eligibleOptions, amount) : null;
+
+    return { options: eligibleOptions, rejections, merchantInfo, splitPlan };
+}
+
+// Basket optimiser: best card per line item, chosen jointly so items compete
+// for shared caps. Items are settled one at a time, most contested first (the
+// item that loses the most by missing its best card), and each choice is
+// recorded as a simulated payment before the rest are re-ranked.
+// Returns { items, totalValue, byCard } with items in their original order.
+export async function getBasketRecommendation(cards, payments, items, settings = {}) {
+    let simulatedPayments = [...payments];
+    let simulatedOffers = settings.offers || [];
+    const results = new Array(items.length).fill(null);
+    let pending = items.map((item, index) => index);
+
+    while (pending.length > 0) {
+        const ranked = [];
+        for (const index of pending) {
+            const result = await getRecommendation(cards, simulatedPayments, items[index], {
+                ...settings,
+                offers: simulatedOffers
+            });
+            const [best, next] = result.options;
+            const regret = best ? best.estimatedValue - (next ? next.estimatedValue : 0) : -1;
+            ranked.push({ index, result, regret });
+        }
+        ranked.sort((a, b) => b.regret - a.regret);
+
+        const { index, result } = ranked[0];
+        const best = result.options[0] || null;
+        results[index] = { item: items[index], option: best, options: result.options, rejections: result.rejections };
+        pending = pending.filter(i => i !== index);
+
+        if (best) {
+            const simulated = {
+                id: `basket-${index}`,
+                cardId: best.card.id,
+                amount: items[index].amount,
+                category: items[index].category,
+                merchant: items[index].merchant,
+                method: items[index].paymentMethod,
+                rewardIndex: best.rewardIndex,
+                date: (items[index].date ? new Date(items[index].date) : new Date()).toISOString()
+            };
+            simulatedPayments = [simulated, ...simulatedPayments];
+            simulatedOffers = redeemOffers(simulatedOffers, best.card, simulated).offers;
+        }
+    }
+
+    const byCard = [];
+    results.forEach(({ item, option }) => {
+        if (!option) return;
+        const entry = byCard.find(e => e.card.id === option.card.id);
+        if (entry) {
+            entry.amount += item.amount;
+            entry.value += option.estimatedValue;
+        } else {
+            byCard.push({ card: option.card, amount: item.amount, value: option.estimatedValue });
+        }
+    });
+
+    return {
+        items: results,
+        totalValue: byCard.reduce((sum, e) => sum + e.value, 0),
+        byCard
+    };
+}
+
+// What a recorded payment earned when it was made: the tier that paid out,
+// with caps and boosts as they stood then (only payments up to its date count).
+// Refunds give back the earnings on the amount they return: a linked refund
+// at its purchase's snapshot, a standalone credit at the current tier. Returns
+// { rewardIndex, tier, rate, unit, currency, amount, value, offerValue, overflow }
+// with `overflow` the spend past the tier's cap that earned the base rate,
+// or null when the card has no tier for the payment.
+export async function getRewardSnapshot(card, payments, payment, settings = {}) {
+    const original = payment.refundOf ? payments.find(p => p.id === payment.refundOf) : null;
+    if (original && original.reward && original.amount > 0) {
+        const share = payment.amount / original.amount; // Negative
+        return {
+            ...original.reward,
+            amount: original.reward.amount * share,
+            value: (original.reward.value - original.reward.offerValue) * share,
+            offerValue: 0,
+            overflow: original.reward.overflow * -share
+        };
+    }
+
+    const paidAt = new Date(payment.date);
+    const earlier = payments.filter(p => p.id !== payment.id && new Date(p.date) <= paidAt);
+    // Offers this payment already redeemed still count toward it
+    const offers = (settings.offers || []).map(offer => ({
+        ...offer,
+        uses: (offer.uses || []).filter(use => use.paymentId !== payment.id)
+    }));
+    const amount = Math.abs(payment.amount);
+    const sign = payment.amount < 0 ? -1 : 1;
+
+    const { options, rejections } = await getRecommendation([card], earlier, {
+        category: payment.category,
+        amount,
+        paymentMethod: payment.method,
+        merchant: payment.merchant,
+        date: payment.date
+    }, { ...settings, offers, prioritizeWelcomeBonus: false });
+
+    const option = options.find(o => o.rewardIndex === payment.rewardIndex) || options[0];
+    if (!option) return null;
+
+    let overflow = 0;
+    if (option.rewardIndex === payment.rewardIndex) {
+        if (option.capRemaining !== null && option.capRemaining < amount) overflow = amount - option.capRemaining;
+    } else if (rejections.some(r => r.rewardIndex === payment.rewardIndex && r.code === REJECTION_CODES.CAP_EXHAUSTED)) {
+        overflow = amount;
+    }
+    const offerValue = sign > 0 ? option.offerValue : 0;
+
+    return {
+        rewardIndex: option.rewardIndex,
+        tier: option.reward.category,
+        rate: option.effectiveRate,
+        unit: option.unit,
+        currency: option.currency,
+        amount: sign * option.rewardAmount,
+        value: sign * option.rewardAmount * (option.centsPerPoint / 100) + offerValue,
+        offerValue,
+        overflow
+    };
+}
+
+// Split-tender plan: fill the highest-value tiers first, each only up to its
+// remaining cap (tiers in a combined cap share it), until the amount is covered.
+// Counts earning rates only; offers, boosts and welcome bonuses stay with the
+// single-card ranking. Returns null unless splitting beats the best single card.
+function getSplitPlan(options, amount) {
+    if (options.length === 0 || !(amount > 0)) return null;
+
+    const segments = options
+        .map(option => {
+            const rate = option.reward.rate * (option.card.rewardMultiplier || 1.0);
+            const unitsPerDollar = option.unit === 'cashback' ? rate / 100 : rate;
+            return {
+                option,
+                valuePerDollar: unitsPerDollar * (option.centsPerPoint / 100),
+                capGroup: option.capRemaining === null ? null :
+                    `${option.card.id}:${getTierCap(option.card, option.rewardIndex).tierIndexes.join(',')}`
+            };
+        })
+        .sort((a, b) => b.valuePerDollar - a.valuePerDollar);
+
+    const capLeft = {};
+    segments.forEach(({ option, capGroup }) => {
+        if (capGroup) capLeft[capGroup] = option.capRemaining;
+    });
+
+    const allocations = [];
+    let unallocated = amount;
+    for (const { option, valuePerDollar, capGroup } of segments) {
+        if (unallocated <= 0) break;
+        const available = capGroup ? capLeft[capGroup] : Infinity;
+        const share = Math.round(Math.min(unallocated, available) * 100) / 100;
+        if (share <= 0) continue;
+        if (capGroup) capLeft[capGroup] -= share;
+        unallocated = Math.round((unallocated - share) * 100) / 100;
+
+        // Same card twice (capped tier then its base rate) pays as one charge
+        const existing = allocations.find(a => a.card.id === option.card.id);
+        if (existing) {
+            existing.amount += share;
+            existing.value += share * valuePerDollar;
+            existing.tiers.push(option.reward.category);
+        } else {
+            allocations.push({
+                card: option.card,
+                amount: share,
+                value: share * valuePerDollar,
+                tiers: [option.reward.category]
+            });
+        }
+    }
+
+    if (unallocated > 0 || allocations.length < 2) return null;
+
+    const totalValue = allocations.reduce((sum, a) => sum + a.value, 0);
+    const singleCardValue = options[0].estimatedValue;
+    if (totalValue <= singleCardValue + 0.005) return null;
+
+    return { allocations, totalValue, singleCardValue, gain: totalValue - singleCardValue };
+}
+
+// Catch-all tiers cover any purchase; a base-rate tier is always a catch-all
+export function isCatchAllTier(reward) {
+    return reward.categoryMatch === 'all' || !!reward.baseRate;
+}
+
+// The card's base-rate tier for a payment method ('any' prefers a tier that
+// isn't tied to one method). Returns the tier, or null if the card has none.
+export function getBaseTier(card, paymentMethod = 'any') {
+    const baseTiers = (card.rewards || []).filter(r =>
+        r.baseRate && (r.method === 'any' || paymentMethod === 'any' || r.method === paymentMethod)
+    );
+    return baseTiers.find(r => r.method === paymentMethod) ||
+        baseTiers.find(r => r.method === 'any') ||
+        baseTiers[0] ||
+        null;
+}
+
+// Every payment method must resolve to exactly one base-rate tier.
+// Returns a list of problems; empty when the tiers are valid.
+export function validateBaseTiers(rewards) {
+    const errors = [];
+    PAYMENT_METHODS.forEach(method => {
+        const count = rewards.filter(r => r.baseRate && (r.method === 'any' || r.method === method)).length;
+        if (count === 0) {
+            errors.push(`No base rate tier covers ${METHOD_LABELS[method]}`);
+        } else if (count > 1) {
+            errors.push(`${count} base rate tiers cover ${METHOD_LABELS[method]}; mark only one`);
+        }
+    });
+    return errors;
+}
+
+// Tiers saved before catch-all/base-rate fields existed: flag "All Other" /
+// "Everything" labels as catch-all, then mark one catch-all per payment method
+// as the base rate. Returns true if any tier was changed.
+export function migrateBaseTiers(cardsOrPresets) {
+    let changed = false;
+    cardsOrPresets.forEach(card => {
+        const rewards = card.rewards || [];
+        rewards.forEach(reward => {
+            if (reward.categoryMatch || reward.merchants || (reward.categoryIds || []).length > 0) return;
+            if (!/\b(all|everything)\b/i.test(reward.category || '')) return;
+            reward.categoryMatch = 'all';
+            changed = true;
+        });
+
+        if (rewards.some(r => 'baseRate' in r)) return;
+        const baseTiers = [];
+        rewards.filter(isCatchAllTier).forEach(reward => {
+            const overlaps = baseTiers.some(b => b.method === 'any' || reward.method === 'any' || b.method === reward.method);
+            if (overlaps) return;
+            reward.baseRate = true;
+            baseTiers.push(reward);
+            changed = true;
+        });
+    });
+    return changed;
+}
+
+// Find the reward tier a purchase earns under on a given card (highest matching rate).
+// Returns the tier index, or -1 if no tier applies.
+export function matchRewardTier(card, purchaseDetails) {
+    if (!card || !card.rewards) return -1;
+
+    let bestIndex = -1;
+    card.rewards.forEach((reward, index) => {
+        if (!matchReward(reward, purchaseDetails, card).matches) return;
+        if (bestIndex === -1 || reward.rate > card.rewards[bestIndex].rate) {
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+}
+
+function matchReward(reward, { category = '', categoryId = null, merchant = '', merchantFlags = null, paymentMethod = 'any', portal, date }, card) {
+    const rewardCategory = (reward.category || '').toLowerCase();
+    const purchaseCategory = (category || '').toLowerCase();
+    const purchaseMerchant = (merchant || '').toLowerCase();
+
+    // Check payment method compatibility
+    const methodCompatible = reward.method === 'any' ||
+        reward.method === paymentMethod ||
+        paymentMethod === 'any';
+
+    // Check merchant match (only tiers that list merchants can match on merchant)
+    const merchantMatch = !!purchaseMerchant && !!reward.merchants &&
+        (reward.merchants.toLowerCase().includes(purchaseMerchant) ||
+            purchaseMerchant.includes(reward.merchants.toLowerCase()));
+
+    // Check category match against the canonical taxonomy. A tier covers its
+    // categories and their children (a Travel tier covers Flights, not vice versa).
+    // Rotating tiers cover whatever their calendar lists for the purchase's quarter.
+    const purchaseDate = date ? new Date(date) : new Date();
+    const purchaseCategoryId = categoryId || resolveCategory(category);
+    const rotatingCategoryIds = getRotatingCategoryIds(reward, purchaseDate);
+    const tierCategoryIds = rotatingCategoryIds || reward.categoryIds || mapCategoryText(reward.category);
+    let categoryMatch;
+    if (tierCategoryIds.length > 0) {
+        categoryMatch = !!purchaseCategoryId &&
+            tierCategoryIds.some(id => isCategoryWithin(purchaseCategoryId, id));
+    } else if (rotatingCategoryIds) {
+        categoryMatch = false; // No categories announced for this quarter
+    } else {
+        // Tiers outside the taxonomy only match their exact label
+        categoryMatch = !!purchaseCategory && purchaseCategory === rewardCategory;
+    }
+
+    // Check portal match
+    const portalMatch = !reward.portal || reward.portal === portal;
+
+    const relevant = categoryMatch || merchantMatch || isCatchAllTier(reward);
+    const rotationActivated = !rotatingCategoryIds || isQuarterActivated(card, getQuarterKey(purchaseDate));
+    const exclusion = relevant ?
+        findTierExclusion(reward, { purchaseCategoryId, merchant, merchantFlags }) :
+        null;
+
+    return {
+        methodCompatible,
+        merchantMatch,
+        categoryMatch,
+        portalMatch,
+        relevant,
+        exclusion,
+        rotationActivated,
+        matches: methodCompatible && portalMatch && relevant && !exclusion && rotationActivated
+    };
+}
+
+// Carve-outs from a tier's terms ("U.S. supermarkets, excluding superstores").
+// Returns { type, value } for the first rule the purchase hits, or null.
+function findTierExclusion(reward, { purchaseCategoryId, merchant, merchantFlags }) {
+    if (purchaseCategoryId && reward.excludeCategoryIds) {
+        const excludedId = reward.excludeCategoryIds.find(id => isCategoryWithin(purchaseCategoryId, id));
+        if (excludedId) return { type: 'category', value: excludedId };
+    }
+
+    if (!merchant) return null;
+
+    if (reward.excludeMerchants) {
+        const purchaseMerchant = normalizeMerchant(merchant);
+        const excludedMerchant = reward.excludeMerchants.split(',')
+            .map(m => m.trim())
+            .find(m => {
+                const name = normalizeMerchant(m);
+                return name && (purchaseMerchant === name || purchaseMerchant.startsWith(`${name} `));
+            });
+        if (excludedMerchant) return { type: 'merchant', value: excludedMerchant };
+    }
+
+    if (reward.excludeMerchantFlags && reward.excludeMerchantFlags.length > 0) {
+        // Recorded payments don't carry flags, so look the merchant up here
+        const flags = merchantFlags || (lookupMerchant(merchant) || { flags: [] }).flags;
+        const excludedFlag = reward.excludeMerchantFlags.find(flag => flags.includes(flag));
+        if (excludedFlag) return { type: 'merchantFlag', value: excludedFlag };
+    }
+
+    return null;
+}
+
+// The cap a tier's spend counts toward: its named group on the card
+// (`card.capGroups[reward.capGroup]`, shared by every tier in the group) or
+// its own `spendingCap`. Returns { spendingCap, capPeriod, group, tierIndexes },
+// or null for uncapped tiers.
+export function getTierCap(card, rewardIndex) {
+    const reward = card.rewards[rewardIndex];
+    const group = reward.capGroup && (card.capGroups || {})[reward.capGroup];
+    if (group) {
+        if (!group.spendingCap) return null;
+        return {
+            spendingCap: group.spendingCap,
+            capPeriod: group.capPeriod,
+            group: reward.capGroup,
+            tierIndexes: card.rewards
+                .map((r, i) => (r.capGroup === reward.capGroup ? i : -1))
+                .filter(i => i !== -1)
+        };
+    }
+    if (!reward.spendingCap) return null;
+    return { spendingCap: reward.spendingCap, capPeriod: reward.capPeriod, group: null, tierIndexes: [rewardIndex] };
+}
+
+// Collect the cap groups named on builder tiers into a card-level `capGroups`
+// map. The first capped tier in a group defines its cap; grouped tiers drop
+// their own cap fields. Returns { capGroups, errors }.
+export function buildCapGroups(rewards) {
+    const capGroups = {};
+    const errors = [];
+    rewards.forEach(reward => {
+        if (!reward.capGroup) return;
+        const group = capGroups[reward.capGroup];
+        if (reward.spendingCap) {
+            if (!group) {
+                capGroups[reward.capGroup] = { spendingCap: reward.spendingCap, capPeriod: reward.capPeriod };
+            } else if (group.spendingCap !== reward.spendingCap || group.capPeriod !== reward.capPeriod) {
+                errors.push(`Tiers in cap group "${reward.capGroup}" have different caps`);
+            }
+        }
+        delete reward.spendingCap;
+        delete reward.capPeriod;
+    });
+    const groupNames = [...new Set(rewards.map(r => r.capGroup).filter(Boolean))];
+    groupNames.filter(name => !capGroups[name]).forEach(name => {
+        errors.push(`Cap group "${name}" needs a spending cap on at least one tier`);
+    });
+    return { capGroups, errors: [...new Set(errors)] };
+}
+
+// Cards and presets saved with the old boolean `combinedCap`: every flagged
+// tier joins one "combined" group capped like the first of them.
+// Returns true if anything was changed.
+export function migrateCapGroups(cardsOrPresets) {
+    let changed = false;
+    cardsOrPresets.forEach(card => {
+        (card.rewards || []).forEach(reward => {
+            if (!('combinedCap' in reward)) return;
+            if (reward.combinedCap && reward.spendingCap) {
+                card.capGroups = card.capGroups || {};
+                if (!card.capGroups.combined) {
+                    card.capGroups.combined = { spendingCap: reward.spendingCap, capPeriod: reward.capPeriod };
+                }
+                reward.capGroup = 'combined';
+            }
+            delete reward.combinedCap;
+            changed = true;
+        });
     });
+    return changed;
+}
 
-    // Sort by cashback value (highest first)
-    eligibleOptions.sort((a, b) => b.cashbackValue - a.cashbackValue);
+// Tier a recorded payment earned under. Older payments predate tier tracking,
+// so they are attributed by re-running the matcher against the card.
+function getPaymentRewardIndex(payment, card) {
+    if (payment.rewardIndex !== undefined && payment.rewardIndex !== null) {
+        return payment.rewardIndex;
+    }
+    return matchRewardTier(card, {
+        category: payment.category,
+        merchant: payment.merchant,
+        paymentMethod: payment.method,
+        date: payment.date
+    });
+}
+
+// Closing date of a statement in the given month, clamped to short months
+// (a card closing on the 31st closes on Feb 28/29).
+function getClosingDate(year, month, closingDay) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(closingDay, lastDay));
+}
+
+// Month (as year/month pair) in which the statement covering `date` closes
+function getStatementCloseMonth(date, closingDay) {
+    const thisClose = getClosingDate(date.getFullYear(), date.getMonth(), closingDay);
+    if (date.getDate() <= thisClose.getDate()) {
+        return { year: date.getFullYear(), month: date.getMonth() };
+    }
+    const next = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    return { year: next.getFullYear(), month: next.getMonth() };
+}
 
-    return eligibleOptions;
+// A cycle runs from the day after one closing date through the next closing date
+function getStatementWindow(closeYear, closeMonth, closingDay, cycles = 1) {
+    const prevClose = getClosingDate(closeYear, closeMonth - cycles, closingDay);
+    const close = getClosingDate(closeYear, closeMonth, closingDay);
+    return {
+        start: new Date(prevClose.getFullYear(), prevClose.getMonth(), prevClose.getDate() + 1),
+        end: new Date(close.getFullYear(), close.getMonth(), close.getDate() + 1)
+    };
 }
 
-function getSpendingByCardAndPeriod(payments, cardId, capPeriod, combinedCap = false) {
-    const now = new Date();
-    let startDate;
+// Date range [start, end) that a tier's cap currently applies to.
+// Statement-based periods use the card's closing day and fall back to calendar
+// periods when it isn't configured; anniversary years use the account open date.
+export function getCapWindow(capPeriod, card = {}, now = new Date()) {
+    const year = now.getFullYear();
+    const month = now.getMonth();
+    const closingDay = parseInt(card.statementClosingDay) || null;
 
     switch (capPeriod) {
-        case 'quarterly':
-            const quarter = Math.floor(now.getMonth() / 3);
-            startDate = new Date(now.getFullYear(), quarter * 3, 1);
-            break;
-        case 'annual':
-            startDate = new Date(now.getFullYear(), 0, 1);
-            break;
         case 'monthly':
-            startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-            break;
-        case 'statement':
-            startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-            break;
+            return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+        case 'quarterly': {
+            const quarter = Math.floor(month / 3);
+            return { start: new Date(year, quarter * 3, 1), end: new Date(year, quarter * 3 + 3, 1) };
+        }
+        case 'annual':
+            return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+        case 'statement': {
+            if (!closingDay) return getCapWindow('monthly', card, now);
+            const close = getStatementCloseMonth(now, closingDay);
+            return getStatementWindow(close.year, close.month, closingDay);
+        }
+        case 'statement-quarterly': {
+            if (!closingDay) return getCapWindow('quarterly', card, now);
+            // Quarters group the three statements closing in Jan-Mar, Apr-Jun, etc.
+            const close = getStatementCloseMonth(now, closingDay);
+            const lastMonthOfQuarter = Math.floor(close.month / 3) * 3 + 2;
+            return getStatementWindow(close.year, lastMonthOfQuarter, closingDay, 3);
+        }
+        case 'anniversary': {
+            const opened = card.accountOpenDate ? new Date(`${card.accountOpenDate}T00:00:00`) : null;
+            if (!opened || isNaN(opened)) return getCapWindow('annual', card, now);
+            let start = new Date(year, opened.getMonth(), opened.getDate());
+            if (start > now) start = new Date(year - 1, opened.getMonth(), opened.getDate());
+            return {
+                start,
+                end: new Date(start.getFullYear() + 1, start.getMonth(), start.getDate())
+            };
+        }
         default:
-            return 0;
+            return null;
     }
+}
 
+// Bonus a boost has already paid out during its current occurrence, replayed
+// from the card's payments at their tier's rate. `tierIndex` limits it to
+// one tier's payments for boosts declared on that tier.
+function getBoostBonusUsed(payments, card, boost, window, tierIndex = null) {
     return payments
-        .filter(p => p.cardId === cardId && new Date(p.date) >= startDate)
+        .filter(p => {
+            if (p.cardId !== card.id) return false;
+            const date = new Date(p.date);
+            return date >= window.start && date < window.end;
+        })
+        .reduce((sum, p) => {
+            const rewardIndex = getPaymentRewardIndex(p, card);
+            if (tierIndex !== null && rewardIndex !== tierIndex) return sum;
+            const reward = card.rewards[rewardIndex];
+            if (!reward || isExcludedFromBoost(boost, reward, { category: p.category })) return sum;
+            const rate = reward.rate * (card.rewardMultiplier || 1.0);
+            const earned = (reward.unit || 'cashback') === 'cashback' ? p.amount * (rate / 100) : p.amount * rate;
+            return sum + earned * (boost.multiplier - 1);
+        }, 0);
+}
+
+// Spend already counted against a cap in the window containing `date`
+function getSpendingByCardAndPeriod(payments, card, tierCap, date = new Date()) {
+    const window = getCapWindow(tierCap.capPeriod, card, date);
+    if (!window) return 0;
+
+    const capTiers = tierCap.tierIndexes;
+
+    // Refunds are negative payments; they free cap room but a credit
+    // larger than the window's spend can't push usage below zero
+    const spent = payments
+        .filter(p => {
+            if (p.cardId !== card.id) return false;
+            const date = new Date(p.date);
+            return date >= window.start && date < window.end;
+        })
+        .filter(p => capTiers.includes(getPaymentRewardIndex(p, card)))
         .reduce((sum, p) => sum + p.amount, 0);
+    return Math.max(0, spent);
 }
@@ -0,0 +1,65 @@
+/**
+ * OptimalSwipe Transaction Export
+ * Payments as CSV or tab-separated text for spreadsheets. Each column reads
+ * one value from a payment; the reward columns read its reward snapshot
+ * (`payment.reward`) and are blank when there is none.
+ */
+export const EXPORT_FORMATS = {
+    csv: { delimiter: ',', extension: 'csv', type: 'text/csv' },
+    tsv: { delimiter: '\t', extension: 'tsv', type: 'text/tab-separated-values' }
+};
+
+const pad = n => String(n).padStart(2, '0');
+const fixed = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : '');
+
+// Local calendar date and time, the way the payment was entered
+function localDate(iso) {
+    const date = new Date(iso);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function localTime(iso) {
+    const date = new Date(iso);
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// `text` columns hold user or statement text and get spreadsheet-formula guarding
+export const EXPORT_COLUMNS = [
+    { id: 'date', label: 'Date', value: p => localDate(p.date) },
+    { id: 'time', label: 'Time', value: p => localTime(p.date) },
+    { id: 'merchant', label: 'Merchant', text: true, value: p => p.merchant || '' },
+    { id: 'category', label: 'Category', text: true, value: p => p.category || '' },
+    { id: 'card', label: 'Card', text: true, value: p => p.cardName || '' },
+    { id: 'method', label: 'Method', value: p => p.method || '' },
+    { id: 'type', label: 'Type', value: p => (p.amount < 0 ? 'Refund' : 'Purchase') },
+    { id: 'amount', label: 'Amount', value: p => fixed(p.amount) },
+    { id: 'tier', label: 'Reward Tier', text: true, value: p => (p.reward ? p.reward.tier : '') },
+    { id: 'rate', label: 'Reward Rate', value: p => (p.reward ? fixed(p.reward.rate, 4) : '') },
+    { id: 'unit', label: 'Reward Unit', value: p => (p.reward ? p.reward.unit : '') },
+    { id: 'earned', label: 'Reward Earned', value: p => (p.reward ? fixed(p.reward.amount) : '') },
+    { id: 'value', label: 'Reward Value ($)', value: p => (p.reward ? fixed(p.reward.value) : '') },
+    { id: 'overflow', label: 'Over Cap ($)', value: p => (p.reward ? fixed(p.reward.overflow) : '') },
+    { id: 'notes', label: 'Notes', text: true, value: p => p.notes || '' }
+];
+
+export const DEFAULT_EXPORT_COLUMNS = ['date', 'merchant', 'category', 'card', 'amount', 'tier', 'earned', 'value'];
+
+// Quote CSV fields that need it; TSV has no quoting, so tabs and line breaks
+// become spaces. Text starting with = + - @, a tab or a carriage return is
+// prefixed with ' so spreadsheets don't run it as a formula.
+function formatField(value, column, delimiter) {
+    let text = String(value ?? '');
+    if (column.text && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Header row plus one row per payment, oldest first
+export function formatPaymentsExport(payments, columnIds = DEFAULT_EXPORT_COLUMNS, format = 'csv') {
+    const { delimiter } = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+    const columns = EXPORT_COLUMNS.filter(c => columnIds.includes(c.id));
+    const rows = [...payments]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(p => columns.map(c => formatField(c.value(p), c, delimiter)).join(delimiter));
+    return [columns.map(c => formatField(c.label, c, delimiter)).join(delimiter), ...rows].join('\r\n');
+}
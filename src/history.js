@@ -0,0 +1,130 @@
+/**
+ * OptimalSwipe Transaction History
+ * Search, filter and sort helpers for the History tab. They work on plain
+ * payment arrays so the browser stays fast with tens of thousands of rows:
+ * every filter is a single pass and dates are parsed once per query.
+ */
+export const HISTORY_SORTS = {
+    'date-desc': 'Newest first',
+    'date-asc': 'Oldest first',
+    'amount-desc': 'Largest amount',
+    'amount-asc': 'Smallest amount',
+    'merchant-asc': 'Merchant A–Z'
+};
+
+// "YYYY-MM-DD" as a local date
+function parseLocalDate(text) {
+    const [year, month, day] = (text || '').split('-').map(Number);
+    return year && month && day ? new Date(year, month - 1, day) : null;
+}
+
+// A transaction date from a form or the Shortcut bridge as an ISO timestamp,
+// or null when it can't be read. Bare "YYYY-MM-DD" dates are local midnight
+// (not UTC), and iOS's "Oct 1, 2026 at 3:45 PM" is understood.
+export function parseTransactionDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? parseLocalDate(text) :
+        typeof value === 'number' ? new Date(value) :
+        new Date(text.replace(/\s+at\s+/i, ' '));
+    return isNaN(date) ? null : date.toISOString();
+}
+
+// Payments matching every filter that is set:
+//   { search, cardId, from, to, method, minAmount, maxAmount }
+// `search` matches merchant, category, card name or notes; `from`/`to` are inclusive
+// YYYY-MM-DD dates; amount bounds compare the absolute amount so refunds
+// filter alongside purchases.
+export function filterPayments(payments, filters = {}) {
+    const search = (filters.search || '').trim().toLowerCase();
+    const from = parseLocalDate(filters.from);
+    const toDay = parseLocalDate(filters.to);
+    const to = toDay ? new Date(toDay.getFullYear(), toDay.getMonth(), toDay.getDate() + 1) : null;
+    const minAmount = parseFloat(filters.minAmount);
+    const maxAmount = parseFloat(filters.maxAmount);
+
+    return payments.filter(p => {
+        if (filters.cardId && p.cardId !== Number(filters.cardId)) return false;
+        if (filters.method && p.method !== filters.method) return false;
+        const amount = Math.abs(p.amount);
+        if (!isNaN(minAmount) && amount < minAmount) return false;
+        if (!isNaN(maxAmount) && amount > maxAmount) return false;
+        if (from || to) {
+            const date = new Date(p.date);
+            if (from && date < from) return false;
+            if (to && date >= to) return false;
+        }
+        if (search) {
+            const text = `${p.merchant || ''} ${p.category || ''} ${p.cardName || ''} ${p.notes || ''}`.toLowerCase();
+            if (!text.includes(search)) return false;
+        }
+        return true;
+    });
+}
+
+// A sorted copy; `sort` is a HISTORY_SORTS key
+export function sortPayments(payments, sort = 'date-desc') {
+    const [field, direction] = sort.split('-');
+    const sign = direction === 'asc' ? 1 : -1;
+    const keyed = payments.map(p => ({
+        p,
+        key: field === 'date' ? Date.parse(p.date) :
+            field === 'amount' ? p.amount :
+            (p.merchant || '').toLowerCase()
+    }));
+    keyed.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0) * sign);
+    return keyed.map(k => k.p);
+}
+
+// Totals for a filtered set, plus the running net total after each row in
+// display order (runningTotals[i] covers rows 0..i).
+export function summarizePayments(payments) {
+    let spent = 0;
+    let refunded = 0;
+    let purchases = 0;
+    const runningTotals = new Array(payments.length);
+    payments.forEach((p, i) => {
+        if (p.amount < 0) {
+            refunded -= p.amount;
+        } else {
+            spent += p.amount;
+            purchases++;
+        }
+        runningTotals[i] = spent - refunded;
+    });
+    return { count: payments.length, purchases, spent, refunded, net: spent - refunded, runningTotals };
+}
+
+// Reward value earned per card from the snapshots stored on payments
+// (`payment.reward`): lifetime, this calendar month and this calendar year,
+// plus lifetime points/miles per unit. Payments recorded before snapshots
+// existed are only counted in `unrecorded`.
+export function summarizeRewards(payments, date = new Date()) {
+    const now = new Date(date);
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const yearStart = new Date(now.getFullYear(), 0, 1);
+    const byCard = new Map();
+    const totals = { lifetime: 0, month: 0, year: 0 };
+    let unrecorded = 0;
+
+    payments.forEach(p => {
+        if (!p.reward) {
+            unrecorded++;
+            return;
+        }
+        if (!byCard.has(p.cardId)) {
+            byCard.set(p.cardId, { cardId: p.cardId, cardName: p.cardName, lifetime: 0, month: 0, year: 0, units: {} });
+        }
+        const entry = byCard.get(p.cardId);
+        const paidAt = new Date(p.date);
+        const { value, amount, unit } = p.reward;
+        [entry, totals].forEach(t => {
+            t.lifetime += value;
+            if (paidAt >= yearStart) t.year += value;
+            if (paidAt >= monthStart) t.month += value;
+        });
+        if (unit !== 'cashback') entry.units[unit] = (entry.units[unit] || 0) + amount;
+    });
+
+    return { cards: [...byCard.values()], ...totals, unrecorded };
+}
@@ -0,0 +1,208 @@
+import { parseAmount } from './refunds';
+import { parseTransactionDate } from './history';
+import { resolveCategory, getCategory } from './categories';
+import { lookupMerchant } from './merchants';
+
+/**
+ * OptimalSwipe Statement Import
+ * Turns card statement exports into payment fields. A CSV mapping says which
+ * header holds each field:
+ *   { columns: { date, description, amount, debit, credit, category }, sign }
+ * `sign` is one of SIGN_CONVENTIONS. ISSUER_PROFILES cover the common
+ * exports; users can save their own mappings under `importProfiles`.
+ */
+export const SIGN_CONVENTIONS = {
+    PURCHASES_POSITIVE: 'purchases-positive', // Charges positive, credits negative
+    PURCHASES_NEGATIVE: 'purchases-negative', // Charges negative, credits positive
+    DEBIT_CREDIT: 'debit-credit'              // Separate Debit and Credit columns
+};
+
+export const ISSUER_PROFILES = [
+    {
+        id: 'chase',
+        name: 'Chase',
+        columns: { date: 'Transaction Date', description: 'Description', amount: 'Amount', category: 'Category' },
+        sign: SIGN_CONVENTIONS.PURCHASES_NEGATIVE
+    },
+    {
+        id: 'amex',
+        name: 'American Express',
+        columns: { date: 'Date', description: 'Description', amount: 'Amount', category: 'Category' },
+        sign: SIGN_CONVENTIONS.PURCHASES_POSITIVE
+    },
+    {
+        id: 'capital-one',
+        name: 'Capital One',
+        columns: { date: 'Transaction Date', description: 'Description', debit: 'Debit', credit: 'Credit', category: 'Category' },
+        sign: SIGN_CONVENTIONS.DEBIT_CREDIT
+    },
+    {
+        id: 'citi',
+        name: 'Citi',
+        columns: { date: 'Date', description: 'Description', debit: 'Debit', credit: 'Credit' },
+        sign: SIGN_CONVENTIONS.DEBIT_CREDIT
+    },
+    {
+        id: 'discover',
+        name: 'Discover',
+        columns: { date: 'Trans. Date', description: 'Description', amount: 'Amount', category: 'Category' },
+        sign: SIGN_CONVENTIONS.PURCHASES_POSITIVE
+    }
+];
+
+// Columns a mapping can't do without; category is always optional
+const OPTIONAL_COLUMNS = ['category'];
+
+// Paying the card off shows up on statements but isn't spending
+const BILL_PAYMENT_PATTERN = /\b(autopay|payment\s*-?\s*thank\s*you|payment\s+received|online\s+payment|internet\s+payment|mobile\s+payment)\b/i;
+
+// Split CSV/TSV text into { headers, rows }, honouring quoted fields with
+// embedded delimiters, quotes ("") and newlines. The delimiter (comma, tab
+// or semicolon) is guessed from the header line unless given.
+export function parseDelimited(text, delimiter = null) {
+    const source = (text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const separator = delimiter || [',', '\t', ';']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [headers = [], ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+    return { headers: headers.map(h => h.trim()), rows };
+}
+
+function findColumn(headers, name) {
+    const wanted = (name || '').trim().toLowerCase();
+    return wanted ? headers.findIndex(h => h.toLowerCase() === wanted) : -1;
+}
+
+// True when every required column of a profile is in the file
+export function profileMatches(profile, headers) {
+    return Object.entries(profile.columns)
+        .filter(([field]) => !OPTIONAL_COLUMNS.includes(field))
+        .every(([, name]) => findColumn(headers, name) !== -1);
+}
+
+// The profile fitting the file most specifically (most columns), or null
+export function detectProfile(headers, profiles = ISSUER_PROFILES) {
+    return profiles
+        .filter(profile => profileMatches(profile, headers))
+        .sort((a, b) => Object.keys(b.columns).length - Object.keys(a.columns).length)[0] || null;
+}
+
+// Statement dates: "MM/DD/YYYY", "MM/DD/YY", "YYYY-MM-DD" or anything
+// parseTransactionDate reads. Returns an ISO timestamp or null.
+export function parseStatementDate(text) {
+    const value = (text || '').trim();
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (us) {
+        const year = us[3].length === 2 ? 2000 + Number(us[3]) : Number(us[3]);
+        return new Date(year, Number(us[1]) - 1, Number(us[2])).toISOString();
+    }
+    return parseTransactionDate(value);
+}
+
+export function isBillPayment(description) {
+    return BILL_PAYMENT_PATTERN.test(description || '');
+}
+
+// Statement rows as { index, date, merchant, amount, category, billPayment }
+// with `amount` positive for purchases and negative for refunds/credits.
+// Rows without a readable date or amount are returned in `invalid`.
+export function mapStatementRows({ headers, rows }, { columns, sign }) {
+    const column = field => findColumn(headers, columns[field]);
+    const indexes = {
+        date: column('date'),
+        description: column('description'),
+        amount: column('amount'),
+        debit: column('debit'),
+        credit: column('credit'),
+        category: column('category')
+    };
+    const read = (row, field) => indexes[field] === -1 ? '' : (row[indexes[field]] || '').trim();
+
+    const transactions = [];
+    const invalid = [];
+    rows.forEach((row, index) => {
+        let amount;
+        if (sign === SIGN_CONVENTIONS.DEBIT_CREDIT) {
+            const debit = read(row, 'debit');
+            amount = debit ? Math.abs(parseAmount(debit)) : -Math.abs(parseAmount(read(row, 'credit')));
+        } else {
+            amount = parseAmount(read(row, 'amount'));
+            if (sign === SIGN_CONVENTIONS.PURCHASES_NEGATIVE) amount = -amount;
+        }
+        const date = parseStatementDate(read(row, 'date'));
+        if (!date || isNaN(amount) || amount === 0) {
+            invalid.push(index);
+            return;
+        }
+
+        const merchant = read(row, 'description').replace(/\s+/g, ' ');
+        transactions.push({
+            index,
+            date,
+            merchant,
+            amount,
+            category: read(row, 'category'),
+            billPayment: isBillPayment(merchant)
+        });
+    });
+    return { transactions, invalid };
+}
+
+// A payment category for an imported row: the statement's own category when
+// it maps onto the taxonomy, otherwise the merchant directory's, otherwise
+// whatever the statement said (or "General").
+export function resolveImportCategory({ category, merchant }, overrides = []) {
+    if (category && resolveCategory(category)) return category;
+    const info = lookupMerchant(merchant, overrides);
+    const known = info ? getCategory(info.categoryId) : null;
+    return known ? known.name : (category || 'General');
+}
+
+// An existing payment on the same card for the same amount on the same day.
+// Statement descriptions rarely match names typed in or sent by the Shortcut,
+// so the merchant isn't compared.
+export function findDuplicatePayment(payments, { cardId, amount, date }) {
+    const day = new Date(date).toDateString();
+    return payments.find(p =>
+        p.cardId === cardId &&
+        Math.round(p.amount * 100) === Math.round(amount * 100) &&
+        new Date(p.date).toDateString() === day
+    ) || null;
+}
@@ -1,11 +1,36 @@
 import { storage } from './storage';
-import { getRecommendation } from './engine';
+import {
+    getRecommendation, getBasketRecommendation, matchRewardTier, validateBaseTiers, migrateBaseTiers, getBaseTier,
+    buildCapGroups, migrateCapGroups, getRewardSnapshot
+} from './engine';
 import { cardPresets } from './presets';
+import { rewardCurrencies, getCentsPerPoint } from './valuations';
+import { categories, getCategory, mapCategoryText, isCategoryWithin, migrateRewardCategories } from './categories';
+import { lookupMerchant, describeMerchant } from './merchants';
+import { getQuarterKey, formatQuarter, getRotatingCategoryIds, getPendingActivations, isRotatingTier } from './rotations';
+import { getCardActiveBoosts, migrateBoostRules } from './boosts';
+import { getWelcomeBonusProgress, describeBonusStatus, BONUS_STATUS } from './bonuses';
+import { OFFER_TYPES, describeOffer, getRemainingUses, isOfferExpired, redeemOffers, releaseOffers } from './offers';
+import { parseAmount, isRefund, getRefundablePayments, findRefundOriginal, linkRefund } from './refunds';
+import { HISTORY_SORTS, filterPayments, sortPayments, summarizePayments, summarizeRewards, parseTransactionDate } from './history';
+import { applyPaymentEdit, affectsRewardTier, affectsOfferRedemption } from './edits';
+import { auditPayments } from './audit';
+import {
+    ISSUER_PROFILES, SIGN_CONVENTIONS, parseDelimited, detectProfile, mapStatementRows,
+    resolveImportCategory, findDuplicatePayment, isBillPayment
+} from './imports';
+import { isOfx, parseOfx, getOfxPaymentId } from './ofx';
+import { EXPORT_FORMATS, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, formatPaymentsExport } from './exports';
 
 // App state
 let cards = [];
 let payments = [];
 let userPresets = [];
+let pointValuations = {};
+let merchantOverrides = [];
+let offers = [];
+let importProfiles = [];
+let ofxAccounts = {};
 let rewardTierCount = 0;
 let presetRewardTierCount = 0;
 let lastNotifiedTransactionCount = 0;
@@ -88,6 +113,7 @@ async function init() {
 
 async function startApp() {
     // Primary Render
+    renderCategoryOptions();
     renderCards();
     renderPayments();
     updatePaymentCardOptions();
@@ -96,6 +122,9 @@ async function startApp() {
     // Secondary/Background Tasks
     const secondaryTasks = async () => {
         renderPresetsLibrary();
+        renderValuationSettings();
+        renderMerchantOverrides();
+        renderPresetCurrencyOptions();
         await storage.requestPersistence();
         updateStorageHealthUI();
         updateBackupStatusUI();
@@ -105,7 +134,19 @@ async function startApp() {
         // Set up events that don't need to be immediate
         document.getElementById('cardForm')?.addEventListener('submit', handleCardSubmit);
         document.getElementById('paymentForm').addEventListener('submit', handlePaymentSubmit);
+        document.getElementById('paymentIsRefund')?.addEventListener('change', updateRefundOptions);
+        document.getElementById('paymentCard')?.addEventListener('change', updateRefundOptions);
+        document.getElementById('paymentRefundOf')?.addEventListener('change', handleRefundOfChange);
+        setupHistoryBrowser();
+        document.getElementById('runAuditBtn')?.addEventListener('click', handleRunAudit);
+        document.getElementById('statementImportFile')?.addEventListener('change', handleStatementFile);
+        renderExportColumns();
+        document.getElementById('exportTransactionsBtn')?.addEventListener('click', handleTransactionExport);
         document.getElementById('recommendationForm')?.addEventListener('submit', handleRecommendationSubmit);
+        setupMerchantAutofill();
+        document.getElementById('addBasketItemBtn')?.addEventListener('click', addBasketItem);
+        document.getElementById('basketForm')?.addEventListener('submit', handleBasketSubmit);
+        addBasketItem();
         document.getElementById('exportBtn')?.addEventListener('click', () => storage.exportData());
         document.getElementById('vaultExportBtn')?.addEventListener('click', () => storage.exportData());
         document.getElementById('vaultImportFile')?.addEventListener('change', handleImport);
@@ -123,6 +164,14 @@ async function startApp() {
             document.getElementById('customPresetFormArea').style.display = 'none';
         });
 
+        const welcomeBonusToggle = document.getElementById('welcomeBonusToggle');
+        if (welcomeBonusToggle) {
+            welcomeBonusToggle.checked = await storage.get('prioritizeWelcomeBonus') !== false;
+            welcomeBonusToggle.addEventListener('change', async (e) => {
+                await storage.set('prioritizeWelcomeBonus', e.target.checked);
+            });
+        }
+
         // Shortcut Automation Toggle Initialization
         const automationToggle = document.getElementById('shortcutAutomationToggle');
         if (automationToggle) {
@@ -300,7 +349,28 @@ async function loadData() {
     cards = await storage.get('cards') || [];
     payments = await storage.get('payments') || [];
     userPresets = await storage.get('userPresets') || [];
+    pointValuations = { ...(await storage.get('pointValuations') || {}) };
+    merchantOverrides = await storage.get('merchantOverrides') || [];
+    offers = await storage.get('offers') || [];
+    importProfiles = await storage.get('importProfiles') || [];
+    ofxAccounts = await storage.get('ofxAccounts') || {};
     onboardingCompleted = await storage.get('onboardingCompleted') || false;
+
+    // Map free-text tier categories saved before the taxonomy onto canonical ids
+    const cardsMigrated = [
+        migrateRewardCategories(cards), migrateBaseTiers(cards), migrateBoostRules(cards), migrateCapGroups(cards)
+    ].some(Boolean);
+    if (cardsMigrated) await storage.set('cards', cards);
+    const presetsMigrated = [
+        migrateRewardCategories(userPresets), migrateBaseTiers(userPresets), migrateCapGroups(userPresets)
+    ].some(Boolean);
+    if (presetsMigrated) await storage.set('userPresets', userPresets);
+}
+
+function renderCategoryOptions() {
+    const datalist = document.getElementById('categoryOptions');
+    if (!datalist) return;
+    datalist.innerHTML = categories.map(c => `<option value="${c.name}"></option>`).join('');
 }
 
 function handleImport(e) {
@@ -341,7 +411,7 @@ function addRewardTier() {
             </div>
             <div>
                 <label class="inline-label">Category / Merchant</label>
-                <input type="text" placeholder="e.g., Dining, Apple Store, Travel" class="tier-category" required>
+                <input type="text" placeholder="e.g., Dining, Apple Store, Travel" class="tier-category" list="categoryOptions" required>
             </div>
         </div>
         <div class="condition-method-grid">
@@ -371,14 +441,14 @@ function addRewardTier() {
                     <option value="annual">Per Year</option>
                     <option value="monthly">Per Month</option>
                     <option value="statement">Per Statement Period</option>
+                    <option value="statement-quarterly">Per Statement Quarter</option>
+                    <option value="anniversary">Per Card Anniversary Year</option>
                 </select>
             </div>
         </div>
         <div class="form-group" style="margin-top: 12px; margin-bottom: 0;">
-            <label class="inline-label">
-                <input type="checkbox" class="tier-combined-cap" style="width: auto; margin-right: 8px; display: inline-block;">
-                Combined cap with other tiers
-            </label>
+            <label for="tier-cap-group-${rewardTierCount}" class="inline-label">Shared Cap Group (Optional)</label>
+            <input type="text" id="tier-cap-group-${rewardTierCount}" placeholder="e.g., bonus" class="tier-cap-group">
         </div>
     `;
     container.appendChild(tierDiv);
@@ -404,23 +474,33 @@ async function handleCardSubmit(e) {
         const rate = tier.querySelector('.tier-rate').value;
         const category = tier.querySelector('.tier-category').value;
         if (rate && category) {
-            rewards.push({
+            const reward = {
                 rate: parseFloat(rate),
                 category: category.trim(),
+                categoryIds: mapCategoryText(category),
                 method: tier.querySelector('.tier-method').value,
                 merchants: tier.querySelector('.tier-merchants').value.trim(),
                 spendingCap: parseFloat(tier.querySelector('.tier-cap').value) || null,
-                capPeriod: tier.querySelector('.tier-cap-period').value,
-                combinedCap: tier.querySelector('.tier-combined-cap').checked
-            });
+                capPeriod: tier.querySelector('.tier-cap-period').value
+            };
+            const capGroup = tier.querySelector('.tier-cap-group').value.trim();
+            if (capGroup) reward.capGroup = capGroup;
+            rewards.push(reward);
         }
     });
 
+    const { capGroups, errors: capGroupErrors } = buildCapGroups(rewards);
+    if (capGroupErrors.length > 0) {
+        alert('Tiers sharing a cap group must share one cap:\n' + capGroupErrors.join('\n'));
+        return;
+    }
+
     const card = {
         id: Date.now(),
         name: document.getElementById('cardName').value,
         issuer: document.getElementById('cardIssuer').value,
         rewards: rewards,
+        capGroups: capGroups,
         perks: document.getElementById('cardPerks').value
     };
 
@@ -436,12 +516,13 @@ async function handleCardSubmit(e) {
 
 function renderCards() {
     const container = document.getElementById('cardsList');
+    renderRotationReminders();
+    renderOffers();
     if (cards.length === 0) {
         container.innerHTML = '<div class="empty-state">No cards added yet.</div>';
         return;
     }
     container.innerHTML = cards.map(card => {
-        const hasChoices = card.rewards.some(r => r.choices && r.choices.length > 0);
         return `
             <div class="card-item">
                 <div class="card-item-header">
@@ -450,11 +531,9 @@ function renderCards() {
                             <div class="card-name">${card.name}</div>
                             <div class="card-issuer">${card.issuer}</div>
                         </div>
-                        ${hasChoices ? `
-                            <button class="configure-card-btn" data-id="${card.id}" title="Change Category" style="background: none; border: none; padding: 4px; color: var(--accent-gold); cursor: pointer; display: flex; align-items: center;">
-                                <span class="icon" style="font-size: 1.1rem;">⚙️</span>
-                            </button>
-                        ` : ''}
+                        <button class="configure-card-btn" data-id="${card.id}" title="Configure Card" style="background: none; border: none; padding: 4px; color: var(--accent-gold); cursor: pointer; display: flex; align-items: center;">
+                            <span class="icon" style="font-size: 1.1rem;">⚙️</span>
+                        </button>
                     </div>
                     <button class="delete-btn" data-id="${card.id}">×</button>
                 </div>
@@ -466,29 +545,18 @@ function renderCards() {
             const displayRate = Number.isInteger(boostedRate) ? boostedRate : boostedRate.toFixed(2);
             const symbol = isPoints ? 'x' : '%';
             const unitLabel = isPoints ? ` ${unit}` : '';
-            return `<span class="category-badge">${displayRate}${symbol}${unitLabel} ${r.category}</span>`;
+            const label = isRotatingTier(r) ? `${r.category}: ${formatCategoryIds(getRotatingCategoryIds(r)) || 'not set'}` : r.category;
+            return `<span class="category-badge">${displayRate}${symbol}${unitLabel} ${label}</span>`;
         }).join('')}
+                    ${getCardActiveBoosts(card).map(boost => `<span class="category-badge boost-badge" title="${formatBoostLimits(boost)}">🚀 ${boost.multiplier}x ${boost.name} today</span>`).join('')}
                 </div>
+                ${renderWelcomeBonusProgress(card)}
             </div>
         `;
     }).join('');
 
     container.querySelectorAll('.configure-card-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            const id = Number(e.currentTarget.getAttribute('data-id'));
-            const card = cards.find(c => c.id === id);
-            if (!card) return;
-
-            const config = await showCardConfigurationModal(card);
-            if (config) {
-                if (config.categoryIndex !== -1) {
-                    card.rewards[config.categoryIndex].category = config.selectedCategory;
-                }
-                card.rewardMultiplier = config.multiplier;
-                await storage.set('cards', cards);
-                renderCards();
-            }
-        });
+        btn.addEventListener('click', (e) => configureCard(Number(e.currentTarget.getAttribute('data-id'))));
     });
 
     container.querySelectorAll('.delete-btn').forEach(btn => {
@@ -505,71 +573,816 @@ function renderCards() {
     });
 }
 
+async function configureCard(id) {
+    const card = cards.find(c => c.id === id);
+    if (!card) return;
+
+    const config = await showCardConfigurationModal(card);
+    if (config) {
+        applyCardConfiguration(card, config);
+        await storage.set('cards', cards);
+        renderCards();
+    }
+}
+
+// Minimum-spend progress bar for a card's sign-up bonus
+function renderWelcomeBonusProgress(card) {
+    const progress = getWelcomeBonusProgress(card, payments);
+    if (!progress) return '';
+
+    const percent = Math.min(100, (progress.spent / progress.minSpend) * 100);
+    const { bonus, unit = 'points' } = card.welcomeBonus;
+    const bonusLabel = unit === 'cashback' ? `$${bonus.toLocaleString()}` : `${bonus.toLocaleString()} ${unit}`;
+    return `
+        <div class="bonus-progress ${progress.status}">
+            <div class="bonus-progress-header">
+                <span>🎉 ${bonusLabel} welcome bonus</span>
+                <span>$${Math.round(progress.spent).toLocaleString()} / $${progress.minSpend.toLocaleString()}</span>
+            </div>
+            <div class="bonus-progress-track"><div class="bonus-progress-fill" style="width: ${percent}%;"></div></div>
+            <div class="bonus-progress-footer">
+                ${progress.status === BONUS_STATUS.EARNED || progress.status === BONUS_STATUS.MISSED ? '' : `${progress.daysLeft} days left · `}${describeBonusStatus(progress)}
+            </div>
+        </div>
+    `;
+}
+
+// "Up to 1,000 bonus · Excludes Rent" for a boost badge tooltip
+function formatBoostLimits(boost) {
+    const limits = [];
+    if (boost.maxBonus) limits.push(`Up to ${boost.maxBonus.toLocaleString()} bonus`);
+    if ((boost.excludeCategoryIds || []).length > 0) limits.push(`Excludes ${formatCategoryIds(boost.excludeCategoryIds)}`);
+    return limits.join(' · ');
+}
+
+function formatCategoryIds(ids) {
+    return ids.map(id => (getCategory(id) || { name: id }).name).join(', ');
+}
+
+// Banner for rotating tiers whose categories or activation are pending this quarter
+function renderRotationReminders() {
+    const container = document.getElementById('rotationReminders');
+    if (!container) return;
+
+    const pending = getPendingActivations(cards);
+    container.innerHTML = pending.map(({ card, reward, quarter, categoryIds }) => {
+        const needsCategories = categoryIds.length === 0;
+        return `
+            <div class="rotation-reminder">
+                <div>
+                    🔄 <strong>${card.name}</strong>:
+                    ${needsCategories ?
+                `set your ${formatQuarter(quarter)} ${reward.category.toLowerCase()}.` :
+                `activate ${formatQuarter(quarter)} ${reward.rate}${(reward.unit || 'cashback') === 'cashback' ? '%' : 'x'} on ${formatCategoryIds(categoryIds)}.`}
+                </div>
+                <button class="btn-secondary rotation-action" data-id="${card.id}" data-action="${needsCategories ? 'configure' : 'activate'}">
+                    ${needsCategories ? 'Set Categories' : 'Mark Activated'}
+                </button>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.rotation-action').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const id = Number(e.currentTarget.getAttribute('data-id'));
+            if (e.currentTarget.getAttribute('data-action') === 'configure') {
+                await configureCard(id);
+                return;
+            }
+            const card = cards.find(c => c.id === id);
+            if (!card) return;
+            card.activatedQuarters = [...new Set([...(card.activatedQuarters || []), getQuarterKey()])];
+            await storage.set('cards', cards);
+            renderCards();
+        });
+    });
+}
+
 async function handlePaymentSubmit(e) {
     e.preventDefault();
     const cardId = Number(document.getElementById('paymentCard').value);
     const card = cards.find(c => c.id === cardId);
     if (!card) return;
 
+    const refund = document.getElementById('paymentIsRefund').checked;
+    const amount = Math.abs(parseFloat(document.getElementById('paymentAmount').value));
     const payment = {
         id: Date.now(),
-        amount: parseFloat(document.getElementById('paymentAmount').value),
+        amount: refund ? -amount : amount,
         category: document.getElementById('paymentCategory').value,
         cardId: cardId,
         cardName: card.name,
         method: document.getElementById('paymentMethod').value,
-        date: new Date().toISOString()
+        merchant: document.getElementById('paymentMerchant').value.trim(),
+        date: parseTransactionDate(document.getElementById('paymentDate').value) || new Date().toISOString()
     };
+    payment.rewardIndex = matchRewardTier(card, {
+        category: payment.category,
+        merchant: payment.merchant,
+        paymentMethod: payment.method,
+        date: payment.date
+    });
+
+    const original = refund ?
+        payments.find(p => p.id === Number(document.getElementById('paymentRefundOf').value)) : null;
+    if (original) linkRefund(payment, original);
+    payment.reward = await snapshotReward(card, payment);
 
     payments.unshift(payment);
     await storage.set('payments', payments);
+    if (!refund) await redeemPaymentOffers(card, payment);
     renderPayments();
+    renderCards(); // Welcome bonus progress
     updateStats();
     e.target.reset();
+    updateRefundOptions();
+}
+
+// Offer the chosen card's purchases as refund targets while "refund" is ticked
+function updateRefundOptions() {
+    const group = document.getElementById('paymentRefundOfGroup');
+    const select = document.getElementById('paymentRefundOf');
+    if (!group || !select) return;
+
+    const refund = document.getElementById('paymentIsRefund').checked;
+    const cardId = Number(document.getElementById('paymentCard').value);
+    group.style.display = refund && cardId ? 'block' : 'none';
+
+    select.innerHTML = '<option value="">Standalone credit</option>' +
+        (refund ? getRefundablePayments(payments, cardId) : []).slice(0, 50).map(p => `
+            <option value="${p.id}">$${p.amount.toFixed(2)} • ${escapeHtml(p.merchant || p.category)} • ${new Date(p.date).toLocaleDateString()}</option>
+        `).join('');
+}
+
+// Linking a refund fills in the purchase's amount, category and merchant
+function handleRefundOfChange(e) {
+    const original = payments.find(p => p.id === Number(e.target.value));
+    if (!original) return;
+    document.getElementById('paymentAmount').value = original.amount.toFixed(2);
+    document.getElementById('paymentCategory').value = original.category;
+    document.getElementById('paymentMerchant').value = original.merchant || '';
+    document.getElementById('paymentMethod').value = original.method;
+}
+
+// "3x ($0.45)" or "2% ($1.20)", with overflow past a cap noted
+function formatRewardSnapshot(reward) {
+    const rate = reward.unit === 'cashback' ? `${+reward.rate.toFixed(2)}%` : `${+reward.rate.toFixed(2)}x`;
+    const overflow = reward.overflow > 0 ? `, $${reward.overflow.toFixed(2)} over cap` : '';
+    return `${rate} (${formatPaymentAmount(reward.value)}${overflow})`;
+}
+
+function formatPaymentAmount(amount) {
+    return `${amount < 0 ? '−' : ''}$${Math.abs(amount).toFixed(2)}`;
+}
+
+// What a payment earns on its card as of its date, stored on the payment so
+// later card changes don't rewrite history
+async function snapshotReward(card, payment) {
+    return getRewardSnapshot(card, payments, payment, {
+        valuations: pointValuations,
+        merchantOverrides,
+        offers
+    });
+}
+
+// Refunds of a purchase give back a share of its snapshot, so after it is
+// edited they follow it to its tier. Once it is deleted, or on another card,
+// they are unlinked and earn back at their own tier.
+async function refreshLinkedRefunds(purchaseId) {
+    const purchase = payments.find(p => p.id === purchaseId);
+    for (const refund of payments.filter(p => p.refundOf === purchaseId)) {
+        const refundCard = cards.find(c => c.id === refund.cardId);
+        if (!refundCard) continue;
+        const relinked = { ...refund };
+        if (purchase && purchase.cardId === refund.cardId) {
+            relinked.rewardIndex = purchase.rewardIndex;
+        } else {
+            delete relinked.refundOf;
+            relinked.rewardIndex = matchRewardTier(refundCard, {
+                category: refund.category,
+                merchant: refund.merchant,
+                paymentMethod: refund.method,
+                date: refund.date
+            });
+        }
+        relinked.reward = await snapshotReward(refundCard, relinked);
+        payments = payments.map(p => p.id === refund.id ? relinked : p);
+    }
+}
+
+async function editPayment(id) {
+    const payment = payments.find(p => p.id === id);
+    if (!payment) return;
+
+    const values = await showPaymentEditModal(payment);
+    if (!values) return;
+
+    const card = cards.find(c => c.id === values.cardId);
+    if (!card) return;
+    values.cardName = card.name;
+
+    let updated = applyPaymentEdit(payment, values);
+    if (updated === payment) return;
+
+    const changes = updated.edits[updated.edits.length - 1].changes;
+    if (affectsRewardTier(changes)) {
+        // A refund moved off its purchase's card can no longer reverse it
+        const original = updated.refundOf ? payments.find(p => p.id === updated.refundOf) : null;
+        if (original && original.cardId === updated.cardId) {
+            updated.rewardIndex = original.rewardIndex;
+        } else {
+            delete updated.refundOf;
+            updated.rewardIndex = matchRewardTier(card, {
+                category: updated.category,
+                merchant: updated.merchant,
+                paymentMethod: updated.method,
+                date: updated.date
+            });
+        }
+    }
+
+    if (affectsRewardTier(changes) || 'amount' in changes) {
+        updated.reward = await snapshotReward(card, updated);
+    }
+
+    payments = payments.map(p => p.id === id ? updated : p);
+    if (affectsRewardTier(changes) || 'amount' in changes) await refreshLinkedRefunds(id);
+    await storage.set('payments', payments);
+    if (affectsOfferRedemption(changes)) await updatePaymentOffers(updated, card);
+    renderPayments();
+    renderCards(); // Welcome bonus progress
+    updateStats();
+}
+
+// ISO timestamp -> value for a datetime-local input, in local time
+function toDateTimeInputValue(iso) {
+    const date = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+async function showPaymentEditModal(payment) {
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.style.zIndex = '40000';
+        const dateValue = toDateTimeInputValue(payment.date);
+        // The Record Payment form's methods, plus whatever an import stored
+        // (e.g. "any") so saving doesn't quietly change it
+        const methods = [...document.getElementById('paymentMethod').options]
+            .map(option => ({ value: option.value, label: option.textContent }));
+        if (payment.method && !methods.some(m => m.value === payment.method)) {
+            methods.push({ value: payment.method, label: payment.method === 'any' ? 'Any method' : payment.method });
+        }
+
+        overlay.innerHTML = `
+            <div class="modal-content" style="max-width: 440px; text-align: left;">
+                <h3 style="margin-bottom: 8px; text-align: center;">Edit ${isRefund(payment) ? 'Refund' : 'Payment'}</h3>
+                <p class="description" style="margin-bottom: 24px; text-align: center;">Caps and stats update to match.</p>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 24px;">
+                    <div>
+                        <label for="editAmountInput" class="inline-label">Amount${isRefund(payment) ? ' Refunded' : ''}</label>
+                        <input type="number" id="editAmountInput" step="0.01" min="0" value="${Math.abs(payment.amount).toFixed(2)}">
+                    </div>
+                    <div>
+                        <label for="editDateInput" class="inline-label">Date</label>
+                        <input type="datetime-local" id="editDateInput" value="${dateValue}">
+                    </div>
+                    <div>
+                        <label for="editCategoryInput" class="inline-label">Category</label>
+                        <input type="text" id="editCategoryInput" value="${escapeHtml(payment.category)}" list="categoryOptions">
+                    </div>
+                    <div>
+                        <label for="editMerchantInput" class="inline-label">Merchant</label>
+                        <input type="text" id="editMerchantInput" value="${escapeHtml(payment.merchant)}">
+                    </div>
+                    <div>
+                        <label for="editCardInput" class="inline-label">Card</label>
+                        <select id="editCardInput">
+                            ${cards.map(c => `<option value="${c.id}" ${c.id === payment.cardId ? 'selected' : ''}>${c.name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label for="editMethodInput" class="inline-label">Method</label>
+                        <select id="editMethodInput">
+                            ${methods.map(m => `<option value="${escapeHtml(m.value)}" ${m.value === payment.method ? 'selected' : ''}>${escapeHtml(m.label)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div style="grid-column: 1 / -1;">
+                        <label for="editNotesInput" class="inline-label">Notes</label>
+                        <input type="text" id="editNotesInput" value="${escapeHtml(payment.notes)}" placeholder="Optional">
+                    </div>
+                </div>
+                ${(payment.edits || []).length > 0 ? `
+                    <p class="description" style="margin-bottom: 16px; font-size: 0.75rem;">
+                        Edited ${payment.edits.length} time${payment.edits.length === 1 ? '' : 's'}, last on ${new Date(payment.updatedAt).toLocaleString()}
+                    </p>
+                ` : ''}
+                <div class="modal-actions">
+                    <button id="cancelEditBtn" class="btn-secondary" style="flex: 1;">Cancel</button>
+                    <button id="saveEditBtn" class="btn" style="flex: 1;">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('#saveEditBtn').onclick = () => {
+            const amount = Math.abs(parseFloat(overlay.querySelector('#editAmountInput').value));
+            const category = overlay.querySelector('#editCategoryInput').value.trim();
+            if (!amount || !category) {
+                alert('A payment needs an amount and a category.');
+                return;
+            }
+            const dateInput = overlay.querySelector('#editDateInput').value;
+            overlay.remove();
+            resolve({
+                amount: isRefund(payment) ? -amount : amount,
+                // Keep the original timestamp's seconds unless the date was changed
+                date: dateInput && dateInput !== dateValue ? new Date(dateInput).toISOString() : payment.date,
+                category,
+                merchant: overlay.querySelector('#editMerchantInput').value.trim(),
+                cardId: Number(overlay.querySelector('#editCardInput').value),
+                method: overlay.querySelector('#editMethodInput').value,
+                notes: overlay.querySelector('#editNotesInput').value.trim() || null
+            });
+        };
+
+        overlay.querySelector('#cancelEditBtn').onclick = () => {
+            overlay.remove();
+            resolve(null);
+        };
+    });
+}
+
+// The History tab shows every payment matching its filters, but only the rows
+// scrolled into view are in the DOM so it stays fast with tens of thousands.
+const HISTORY_ROW_HEIGHT = 88;
+const HISTORY_OVERSCAN = 5;
+let historyView = { rows: [], runningTotals: [], byId: new Map() };
+let historyFilterTimer = null;
+
+function getHistoryFilters() {
+    return {
+        search: document.getElementById('historySearch').value,
+        cardId: document.getElementById('historyCard').value,
+        method: document.getElementById('historyMethod').value,
+        from: document.getElementById('historyFrom').value,
+        to: document.getElementById('historyTo').value,
+        minAmount: document.getElementById('historyMinAmount').value,
+        maxAmount: document.getElementById('historyMaxAmount').value
+    };
+}
+
+function updateHistoryFilterOptions() {
+    const cardSelect = document.getElementById('historyCard');
+    const selected = cardSelect.value;
+    cardSelect.innerHTML = '<option value="">All cards</option>' +
+        cards.map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+    cardSelect.value = cards.some(c => String(c.id) === selected) ? selected : '';
+
+    const sortSelect = document.getElementById('historySort');
+    if (!sortSelect.options.length) {
+        sortSelect.innerHTML = Object.entries(HISTORY_SORTS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    }
+}
+
+function setupHistoryBrowser() {
+    const container = document.getElementById('paymentsList');
+    const filters = document.getElementById('historyFilters');
+
+    const applyFilters = () => {
+        clearTimeout(historyFilterTimer);
+        historyFilterTimer = setTimeout(() => {
+            container.scrollTop = 0;
+            renderPayments();
+        }, 150);
+    };
+    filters.addEventListener('input', applyFilters);
+    filters.addEventListener('change', applyFilters);
+    filters.addEventListener('submit', e => e.preventDefault());
+
+    let scrollFrame = null;
+    container.addEventListener('scroll', () => {
+        if (scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            renderHistoryRows();
+        });
+    });
+
+    container.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('edit-btn')) {
+            await editPayment(Number(e.target.getAttribute('data-id')));
+            return;
+        }
+        if (!e.target.classList.contains('delete-btn')) return;
+        const id = Number(e.target.getAttribute('data-id'));
+        payments = payments.filter(p => p.id !== id);
+        await refreshLinkedRefunds(id);
+        await storage.set('payments', payments);
+        await updatePaymentOffers({ id });
+        renderPayments();
+        renderCards(); // Welcome bonus progress
+        updateStats();
+    });
 }
 
 function renderPayments() {
     const container = document.getElementById('paymentsList');
+    const summaryEl = document.getElementById('historySummary');
+    updateHistoryFilterOptions();
     if (payments.length === 0) {
+        historyView = { rows: [], runningTotals: [], byId: new Map() };
         container.innerHTML = '<div class="empty-state">No payments yet.</div>';
+        summaryEl.textContent = '';
         return;
     }
-    container.innerHTML = payments.slice(0, 5).map(p => `
-        <div class="payment-item">
+
+    const rows = sortPayments(filterPayments(payments, getHistoryFilters()), document.getElementById('historySort').value);
+    const summary = summarizePayments(rows);
+    historyView = { rows, runningTotals: summary.runningTotals, byId: new Map(payments.map(p => [p.id, p])) };
+
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state">No payments match these filters.</div>';
+        summaryEl.textContent = '';
+        return;
+    }
+
+    const refunded = summary.refunded > 0 ? ` • $${summary.refunded.toFixed(2)} refunded` : '';
+    summaryEl.textContent = `${summary.purchases.toLocaleString()} purchases • $${summary.spent.toFixed(2)} spent${refunded} • Net ${formatPaymentAmount(summary.net)}`;
+    container.innerHTML = `<div style="height: ${rows.length * HISTORY_ROW_HEIGHT}px;"></div><div id="historyRows"></div>`;
+    renderHistoryRows();
+}
+
+// Draw the rows in (and just around) the scrolled viewport. A hidden tab has
+// no height yet, so fall back to the window's.
+function renderHistoryRows() {
+    const container = document.getElementById('paymentsList');
+    const rowsEl = document.getElementById('historyRows');
+    if (!rowsEl) return;
+
+    const { rows, runningTotals, byId } = historyView;
+    const first = Math.max(0, Math.floor(container.scrollTop / HISTORY_ROW_HEIGHT) - HISTORY_OVERSCAN);
+    const count = Math.ceil((container.clientHeight || window.innerHeight) / HISTORY_ROW_HEIGHT) + HISTORY_OVERSCAN * 2;
+
+    rowsEl.innerHTML = rows.slice(first, first + count).map((p, i) => {
+        const index = first + i;
+        const original = p.refundOf ? byId.get(p.refundOf) : null;
+        const refundLabel = !isRefund(p) ? '' : original ?
+            `↩️ Refund of $${original.amount.toFixed(2)} on ${new Date(original.date).toLocaleDateString()} • ` :
+            '↩️ Credit • ';
+        return `
+        <div class="payment-item${isRefund(p) ? ' refund' : ''}" style="top: ${index * HISTORY_ROW_HEIGHT}px;">
             <div class="payment-info">
-                <div class="payment-amount">$${p.amount.toFixed(2)}</div>
-                <div class="payment-details">${p.category} • ${p.cardName}</div>
+                <div class="payment-amount">${formatPaymentAmount(p.amount)}</div>
+                <div class="payment-details">${refundLabel}${p.merchant ? `${escapeHtml(p.merchant)} • ` : ''}${escapeHtml(p.category)} • ${escapeHtml(p.cardName)} • ${new Date(p.date).toLocaleDateString()}${p.reward ? ` • Earned ${formatRewardSnapshot(p.reward)}` : ''}${p.edits ? ' • Edited' : ''}${p.notes ? ` • 📝 ${escapeHtml(p.notes)}` : ''}</div>
             </div>
+            <div class="payment-running" title="Running total">${formatPaymentAmount(runningTotals[index])}</div>
+            <button class="edit-btn" data-id="${p.id}" title="Edit payment">✎</button>
             <button class="delete-btn" data-id="${p.id}">×</button>
         </div>
-    `).join('');
-
-    container.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            const id = Number(e.target.getAttribute('data-id'));
-            payments = payments.filter(p => p.id !== id);
-            await storage.set('payments', payments);
-            renderPayments();
-            updateStats();
-        });
-    });
+    `;
+    }).join('');
 }
 
 function updatePaymentCardOptions() {
     const select = document.getElementById('paymentCard');
     select.innerHTML = '<option value="">Select a card...</option>' +
         cards.map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+
+    const exportSelect = document.getElementById('exportCard');
+    if (exportSelect) {
+        exportSelect.innerHTML = '<option value="">All cards</option>' +
+            cards.map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+    }
+}
+
+async function handleRunAudit() {
+    const button = document.getElementById('runAuditBtn');
+    const container = document.getElementById('auditResult');
+    if (payments.length === 0) {
+        container.innerHTML = '<div class="empty-state">No payments to audit yet.</div>';
+        return;
+    }
+
+    button.disabled = true;
+    const audit = await auditPayments(cards, payments, {
+        valuations: pointValuations,
+        merchantOverrides
+    }, {
+        // Show progress and let the page breathe between batches
+        onProgress: (done, total) => {
+            container.innerHTML = `<p class="description">Replaying ${done.toLocaleString()} of ${total.toLocaleString()} purchases…</p>`;
+            return new Promise(resolve => setTimeout(resolve, 0));
+        }
+    });
+    button.disabled = false;
+    renderAuditResult(audit);
+}
+
+function renderAuditResult(audit) {
+    const container = document.getElementById('auditResult');
+    const offenders = (title, groups) => `
+        <div class="comparison-table-wrapper">
+            <table class="comparison-table">
+                <thead><tr><th>${title}</th><th>Purchases</th><th>Missed</th></tr></thead>
+                <tbody>
+                    ${groups.length ? groups.map(g => `
+                        <tr><td>${escapeHtml(g.key)}</td><td>${g.count}</td><td>$${g.missed.toFixed(2)}</td></tr>
+                    `).join('') : '<tr><td colspan="3">Nothing missed 🎉</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    container.innerHTML = `
+        <div class="stats-grid" style="margin-top: 0;">
+            <div class="stat-box">
+                <div class="stat-value">$${audit.totalMissed.toFixed(2)}</div>
+                <div class="stat-label">Left on the Table</div>
+            </div>
+            <div class="stat-box">
+                <div class="stat-value">${Math.round(audit.score)}%</div>
+                <div class="stat-label">Optimisation Score</div>
+            </div>
+        </div>
+        <p class="description" style="margin: 12px 0;">
+            Earned $${audit.totalActual.toFixed(2)} of a possible $${audit.totalOptimal.toFixed(2)}.
+            ${audit.skipped > 0 ? `${audit.skipped} purchase${audit.skipped === 1 ? '' : 's'} on removed cards skipped.` : ''}
+        </p>
+        ${offenders('Merchant', audit.byMerchant)}
+        ${offenders('Category', audit.byCategory)}
+        <div class="audit-trend">
+            ${audit.monthly.map(m => `
+                <div class="audit-trend-row" title="$${m.actual.toFixed(2)} of $${m.optimal.toFixed(2)}">
+                    <span>${m.month}</span>
+                    <div class="bonus-progress-track"><div class="bonus-progress-fill" style="width: ${m.score}%;"></div></div>
+                    <span>${Math.round(m.score)}%</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Rewards earned per card, from the snapshot stored on each payment
+function renderRewardStats() {
+    const summary = summarizeRewards(payments);
+    document.getElementById('totalRewards').textContent = formatPaymentAmount(summary.lifetime);
+
+    const container = document.getElementById('rewardStats');
+    if (summary.cards.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    const formatUnits = units => Object.entries(units)
+        .map(([unit, amount]) => `${Math.round(amount).toLocaleString()} ${unit}`).join(', ');
+    container.innerHTML = `
+        <div class="comparison-table-wrapper">
+            <table class="comparison-table">
+                <thead>
+                    <tr><th>Card</th><th>This Month</th><th>This Year</th><th>Lifetime</th></tr>
+                </thead>
+                <tbody>
+                    ${summary.cards.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(entry.cardName)}${Object.keys(entry.units).length ? `<div class="payment-details">${formatUnits(entry.units)}</div>` : ''}</td>
+                            <td>${formatPaymentAmount(entry.month)}</td>
+                            <td>${formatPaymentAmount(entry.year)}</td>
+                            <td>${formatPaymentAmount(entry.lifetime)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td>Total</td><td>${formatPaymentAmount(summary.month)}</td><td>${formatPaymentAmount(summary.year)}</td><td>${formatPaymentAmount(summary.lifetime)}</td></tr>
+                </tfoot>
+            </table>
+        </div>
+        ${summary.unrecorded > 0 ? `<p class="description" style="margin-top: 8px; font-size: 0.75rem;">${summary.unrecorded} older payment${summary.unrecorded === 1 ? '' : 's'} recorded before reward tracking ${summary.unrecorded === 1 ? 'is' : 'are'} not included.</p>` : ''}
+    `;
 }
 
 function updateStats() {
-    const total = payments.reduce((sum, p) => sum + p.amount, 0);
-    document.getElementById('totalSpent').textContent = `$${total.toFixed(2)}`;
-    document.getElementById('totalPayments').textContent = payments.length;
+    const total = payments.reduce((sum, p) => sum + p.amount, 0); // Net of refunds
+    document.getElementById('totalSpent').textContent = formatPaymentAmount(total);
+    document.getElementById('totalPayments').textContent = payments.filter(p => !isRefund(p)).length;
+    renderRewardStats();
     updateSecurityUI(); // Update security section
     updateStorageHealthUI(); // Update health when data changes
     updateBackupStatusUI(); // Update backup status (nudge if needed)
 }
 
+function renderValuationSettings() {
+    const container = document.getElementById('valuationSettings');
+    if (!container) return;
+
+    container.innerHTML = rewardCurrencies.map(currency => `
+        <div class="valuation-row">
+            <label for="valuation-${currency.id}">${currency.name}</label>
+            <div class="valuation-input">
+                <input type="number" id="valuation-${currency.id}" data-currency="${currency.id}" step="0.05" min="0"
+                       value="${getCentsPerPoint(currency.id, pointValuations)}">
+                <span>¢ / ${currency.unit === 'miles' ? 'mile' : 'point'}</span>
+            </div>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', async (e) => {
+            const id = e.target.getAttribute('data-currency');
+            const value = parseFloat(e.target.value);
+            if (isNaN(value) || value < 0) {
+                delete pointValuations[id];
+            } else {
+                pointValuations[id] = value;
+            }
+            await storage.set('pointValuations', pointValuations);
+            e.target.value = getCentsPerPoint(id, pointValuations);
+        });
+    });
+}
+
+function renderMerchantOverrides() {
+    const container = document.getElementById('merchantOverrides');
+    if (!container) return;
+
+    const rows = merchantOverrides.map((override, index) => {
+        const category = getCategory(override.categoryId);
+        return `
+            <div class="excluded-item">
+                <div>
+                    <div class="comparison-card">${escapeHtml(override.merchant)}</div>
+                    <div class="comparison-tier">${category ? category.name : override.categoryId}</div>
+                </div>
+                <button type="button" class="delete-btn" data-index="${index}">×</button>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        ${merchantOverrides.length > 0 ? `<div class="excluded-list" style="margin-bottom: 12px;">${rows}</div>` : ''}
+        <div class="merchant-override-form">
+            <input type="text" id="overrideMerchantInput" placeholder="Merchant, e.g. Costco">
+            <select id="overrideCategorySelect">
+                ${categories.map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+            </select>
+            <button type="button" id="addMerchantOverrideBtn" class="btn-secondary">Add</button>
+        </div>
+    `;
+
+    container.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const index = Number(e.currentTarget.getAttribute('data-index'));
+            merchantOverrides = merchantOverrides.filter((_, i) => i !== index);
+            await storage.set('merchantOverrides', merchantOverrides);
+            renderMerchantOverrides();
+        });
+    });
+
+    container.querySelector('#addMerchantOverrideBtn').addEventListener('click', async () => {
+        const merchant = container.querySelector('#overrideMerchantInput').value.trim();
+        const categoryId = container.querySelector('#overrideCategorySelect').value;
+        if (!merchant) return;
+
+        // Replace an existing override for the same merchant
+        merchantOverrides = merchantOverrides.filter(o => o.merchant.toLowerCase() !== merchant.toLowerCase());
+        merchantOverrides.push({ merchant, categoryId });
+        await storage.set('merchantOverrides', merchantOverrides);
+        renderMerchantOverrides();
+    });
+}
+
+// Mark the card offers a recorded payment qualifies for as used
+async function redeemPaymentOffers(card, payment) {
+    const result = redeemOffers(offers, card, payment);
+    if (result.used.length === 0) return;
+    offers = result.offers;
+    await storage.set('offers', offers);
+    renderOffers();
+}
+
+// Give back a deleted or edited payment's offer uses, then (given the card
+// it is now on) redeem whatever the payment qualifies for as it stands
+async function updatePaymentOffers(payment, card = null) {
+    const released = releaseOffers(offers, payment.id);
+    const redeemed = card && !isRefund(payment) ?
+        redeemOffers(released.offers, card, payment) :
+        { offers: released.offers, used: [] };
+    if (released.released.length === 0 && redeemed.used.length === 0) return;
+    offers = redeemed.offers;
+    await storage.set('offers', offers);
+    renderOffers();
+}
+
+function renderOffers() {
+    const container = document.getElementById('offersList');
+    if (!container) return;
+
+    const rows = offers.map((offer, index) => {
+        const card = cards.find(c => c.id === offer.cardId);
+        const remaining = getRemainingUses(offer);
+        const status = isOfferExpired(offer) ? 'Expired' :
+            remaining === 0 ? 'Used' :
+                `${remaining} use${remaining === 1 ? '' : 's'} left`;
+        return `
+            <div class="excluded-item">
+                <div>
+                    <div class="comparison-card">${escapeHtml(offer.merchant)} · ${describeOffer(offer)}</div>
+                    <div class="comparison-tier">${card ? card.name : 'Removed card'}${offer.expires ? ` · expires ${offer.expires}` : ''} · ${status}</div>
+                </div>
+                <button type="button" class="delete-btn" data-index="${index}">×</button>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        ${offers.length > 0 ? `<div class="excluded-list" style="margin-bottom: 12px;">${rows}</div>` : ''}
+        ${cards.length === 0 ? '<div class="empty-state">Add a card to load its offers.</div>' : `
+            <div class="offer-form">
+                <select id="offerCardSelect">
+                    ${cards.map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+                </select>
+                <input type="text" id="offerMerchantInput" placeholder="Merchant, e.g. Best Buy">
+                <select id="offerTypeSelect">
+                    <option value="${OFFER_TYPES.CREDIT}">$ back</option>
+                    <option value="${OFFER_TYPES.PERCENT}">% back</option>
+                    <option value="${OFFER_TYPES.POINTS}">+x points</option>
+                </select>
+                <input type="number" id="offerValueInput" step="0.01" min="0" placeholder="Value">
+                <input type="number" id="offerMinSpendInput" step="0.01" min="0" placeholder="Min spend">
+                <input type="number" id="offerMaxRewardInput" step="0.01" min="0" placeholder="Max reward">
+                <input type="date" id="offerExpiresInput" title="Expires">
+                <input type="number" id="offerMaxUsesInput" min="1" value="1" title="Uses allowed">
+                <button type="button" id="addOfferBtn" class="btn-secondary">Add Offer</button>
+            </div>
+        `}
+    `;
+
+    container.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const index = Number(e.currentTarget.getAttribute('data-index'));
+            offers = offers.filter((_, i) => i !== index);
+            await storage.set('offers', offers);
+            renderOffers();
+        });
+    });
+
+    const addBtn = container.querySelector('#addOfferBtn');
+    if (!addBtn) return;
+    addBtn.addEventListener('click', async () => {
+        const merchant = container.querySelector('#offerMerchantInput').value.trim();
+        const value = parseFloat(container.querySelector('#offerValueInput').value);
+        if (!merchant || !(value > 0)) return;
+
+        offers = [...offers, {
+            id: 'offer-' + Date.now(),
+            cardId: Number(container.querySelector('#offerCardSelect').value),
+            merchant,
+            type: container.querySelector('#offerTypeSelect').value,
+            value,
+            minSpend: parseFloat(container.querySelector('#offerMinSpendInput').value) || 0,
+            maxReward: parseFloat(container.querySelector('#offerMaxRewardInput').value) || null,
+            expires: container.querySelector('#offerExpiresInput').value || null,
+            maxUses: parseInt(container.querySelector('#offerMaxUsesInput').value) || 1,
+            uses: []
+        }];
+        await storage.set('offers', offers);
+        renderOffers();
+    });
+}
+
+// Fill the recommendation category from the merchant directory, unless the user typed one
+function setupMerchantAutofill() {
+    const merchantInput = document.getElementById('recMerchant');
+    const categoryInput = document.getElementById('recCategory');
+    const hint = document.getElementById('recMerchantHint');
+    if (!merchantInput || !categoryInput) return;
+
+    categoryInput.addEventListener('input', () => {
+        categoryInput.dataset.autofilled = 'false';
+    });
+
+    merchantInput.addEventListener('input', () => {
+        const info = lookupMerchant(merchantInput.value, merchantOverrides);
+        if (hint) hint.textContent = info ? `🏷️ ${describeMerchant(info)}` : '';
+
+        const canAutofill = !categoryInput.value || categoryInput.dataset.autofilled === 'true';
+        if (!canAutofill) return;
+
+        const category = info ? getCategory(info.categoryId) : null;
+        categoryInput.value = category ? category.name : '';
+        categoryInput.dataset.autofilled = category ? 'true' : 'false';
+    });
+}
+
+function renderPresetCurrencyOptions() {
+    const select = document.getElementById('presetCurrency');
+    if (!select) return;
+    select.innerHTML = '<option value="cashback">Cash Back (%)</option>' +
+        rewardCurrencies.map(c => `<option value="${c.id}">${c.name} (x)</option>`).join('');
+}
+
 async function updateSecurityUI() {
     const container = document.getElementById('securityStatusArea');
     if (!container) return;
@@ -862,61 +1675,300 @@ async function handleRecommendationSubmit(e) {
         paymentMethod: document.getElementById('recPaymentMethod').value,
         merchant: document.getElementById('recMerchant').value,
         portal: document.getElementById('recPortal').value,
-        context: document.getElementById('recContext').value
+        context: document.getElementById('recContext').value,
+        splitTender: document.getElementById('recSplitTender').checked
     };
 
-    const options = await getRecommendation(cards, payments, purchaseDetails);
+    if (!purchaseDetails.category && !purchaseDetails.merchant) {
+        resultContainer.innerHTML = '<div class="empty-state">Enter a category or a merchant to get a recommendation.</div>';
+        return;
+    }
+
+    const result = await getRecommendation(cards, payments, purchaseDetails, {
+        valuations: pointValuations,
+        merchantOverrides,
+        offers,
+        prioritizeWelcomeBonus: await storage.get('prioritizeWelcomeBonus') !== false
+    });
+    const { options, rejections } = result;
 
-    if (options.error) {
-        resultContainer.innerHTML = `<div class="empty-state">${options.error}</div>`;
+    if (result.error) {
+        resultContainer.innerHTML = `<div class="empty-state">${result.error}</div>`;
         return;
     }
 
     if (options.length === 0) {
-        resultContainer.innerHTML = '<div class="empty-state">No eligible cards found.</div>';
+        resultContainer.innerHTML = '<div class="empty-state">No eligible cards found.</div>' +
+            renderRejections(rejections);
         return;
     }
 
     const best = options[0];
-    const unit = best.unit || 'cashback';
-    const isPoints = unit !== 'cashback';
-    const rewardValueDisplay = isPoints ?
-        `${(purchaseDetails.amount * (best.effectiveRate / 100)).toFixed(0)} ${unit}` :
-        `$${best.cashbackValue.toFixed(2)} cashback`;
-    const rateDisplay = isPoints ? `${(best.effectiveRate).toFixed(1)}x` : `${best.effectiveRate.toFixed(2)}%`;
+    const { rewardValueDisplay, rateDisplay, isPoints } = formatRewardDisplay(best);
+    const welcomeBonusValue = best.welcomeBonus ? best.welcomeBonus.value : 0;
+    const estimatedValueDisplay = `$${(best.estimatedValue - best.offerValue - welcomeBonusValue).toFixed(2)}`;
 
     resultContainer.innerHTML = `
         <div class="recommendation-card">
             <div class="recommendation-title">${best.card.name}</div>
             <div class="recommendation-reason">
-                Earns <strong>${rewardValueDisplay}</strong> (${rateDisplay}) on this purchase.
+                Earns <strong>${rewardValueDisplay}</strong> (${rateDisplay}) on this purchase${isPoints ? `, worth about <strong>${estimatedValueDisplay}</strong>` : ''}.
+                ${best.offers.length > 0 ? `Plus <strong>$${best.offerValue.toFixed(2)}</strong> from card offers.` : ''}
+                ${best.welcomeBonus ? `Counts toward a welcome bonus at risk ($${best.welcomeBonus.remaining.toLocaleString()} to go, ${best.welcomeBonus.daysLeft} days left).` : ''}
+                ${result.merchantInfo ? `<br><small>Merchant directory: ${describeMerchant(result.merchantInfo)}</small>` : ''}
             </div>
             <div class="recommendation-benefits">
                 <span class="benefit-badge">${rewardValueDisplay}</span>
+                ${isPoints ? `<span class="benefit-badge" title="At ${best.centsPerPoint}¢ per ${best.unit === 'miles' ? 'mile' : 'point'}">≈ ${estimatedValueDisplay} value</span>` : ''}
                 <span class="benefit-badge">${rateDisplay} rate</span>
                 <span class="benefit-badge">${best.capStatus}</span>
                 ${best.reward.portal ? `<span class="benefit-badge" style="background: var(--accent-gold); color: #000;">🎯 via ${best.reward.portal}</span>` : ''}
+                ${best.boosts.filter(b => b.bonus > 0).map(b => `<span class="benefit-badge">🚀 ${b.name} boost</span>`).join('')}
+                ${best.offers.map(o => `<span class="benefit-badge">🎟️ ${escapeHtml(o.merchant)}: ${o.description}</span>`).join('')}
+            </div>
+        </div>
+        ${renderSplitPlan(result.splitPlan)}
+        ${renderComparisonTable(options)}
+        ${renderRejections(rejections)}
+    `;
+
+    // Run iOS Shortcut if on an Apple device and enabled
+    const enableShortcutsAutomation = await storage.get('enableShortcutsAutomation') !== false;
+    if (isApple() && enableShortcutsAutomation) {
+        const amount = purchaseDetails.amount || 0;
+        const category = purchaseDetails.category || '';
+        const paymentMethod = purchaseDetails.paymentMethod || '';
+        const merchant = purchaseDetails.merchant || '';
+        const portal = purchaseDetails.portal || '';
+        // Compact rejection records so the Shortcut can explain skipped cards too
+        const shortcutRejections = rejections.map(r => ({ card: r.cardName, tier: r.tierCategory, code: r.code, message: r.message }));
+        // Construct input: amount=X%26category=Y%26paymentMethod=Z%26merchant=A%26portal=B%26card=C%26rejections=D
+        const shortcutUrl = `shortcuts://run-shortcut?name=RecommendCard&input=amount=${amount}%26category=${encodeURIComponent(category)}%26paymentMethod=${encodeURIComponent(paymentMethod)}%26merchant=${encodeURIComponent(merchant)}%26portal=${encodeURIComponent(portal)}%26card=${encodeURIComponent(best.card.name)}%26rejections=${encodeURIComponent(JSON.stringify(shortcutRejections))}`;
+
+        console.log('[Shortcut] Triggering:', shortcutUrl);
+        // Use a slight delay to ensure UI renders before app switch
+        setTimeout(() => {
+            window.location.href = shortcutUrl;
+        }, 300);
+    }
+}
+
+// Raw reward and rate labels for a recommendation option (e.g. "300 points", "3.0x")
+function formatRewardDisplay(option) {
+    const unit = option.unit || 'cashback';
+    const isPoints = unit !== 'cashback';
+    const rewardValueDisplay = isPoints ?
+        `${Math.round(option.rewardAmount).toLocaleString()} ${unit}` :
+        `$${option.rewardAmount.toFixed(2)} cashback`;
+    const rateDisplay = isPoints ? `${option.effectiveRate.toFixed(1)}x` : `${option.effectiveRate.toFixed(2)}%`;
+    return { rewardValueDisplay, rateDisplay, isPoints };
+}
+
+let basketItemCount = 0;
+
+function addBasketItem() {
+    const container = document.getElementById('basketItems');
+    if (!container) return;
+    const id = ++basketItemCount;
+
+    const itemDiv = document.createElement('div');
+    itemDiv.className = 'basket-item';
+    itemDiv.id = `basket-item-${id}`;
+    itemDiv.innerHTML = `
+        <div class="form-row">
+            <div class="form-group">
+                <label>Category</label>
+                <input type="text" class="basket-category" placeholder="e.g. Gas" list="categoryOptions">
+            </div>
+            <div class="form-group">
+                <label>Merchant</label>
+                <input type="text" class="basket-merchant" placeholder="e.g. Costco">
+            </div>
+            <button type="button" class="delete-btn" onclick="document.getElementById('basket-item-${id}').remove()" style="margin-top: 25px;">×</button>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label>Amount</label>
+                <input type="number" class="basket-amount" step="0.01" min="0" placeholder="0.00">
+            </div>
+            <div class="form-group">
+                <label>Payment Method</label>
+                <select class="basket-method">
+                    <option value="apple-pay">Apple Pay</option>
+                    <option value="physical-card">Physical card / Card number</option>
+                </select>
+            </div>
+        </div>
+    `;
+    container.appendChild(itemDiv);
+}
+
+async function handleBasketSubmit(e) {
+    e.preventDefault();
+    const resultContainer = document.getElementById('basketResult');
+
+    const items = [...document.querySelectorAll('.basket-item')]
+        .map(row => ({
+            category: row.querySelector('.basket-category').value,
+            merchant: row.querySelector('.basket-merchant').value,
+            amount: parseFloat(row.querySelector('.basket-amount').value),
+            paymentMethod: row.querySelector('.basket-method').value
+        }))
+        .filter(item => item.amount > 0 && (item.category || item.merchant));
+
+    if (cards.length === 0) {
+        resultContainer.innerHTML = '<div class="empty-state">Please add some credit cards first to get recommendations.</div>';
+        return;
+    }
+    if (items.length === 0) {
+        resultContainer.innerHTML = '<div class="empty-state">Add at least one item with an amount and a category or merchant.</div>';
+        return;
+    }
+
+    resultContainer.innerHTML = '<div class="loading"></div>';
+    const basket = await getBasketRecommendation(cards, payments, items, {
+        valuations: pointValuations,
+        merchantOverrides,
+        offers,
+        prioritizeWelcomeBonus: await storage.get('prioritizeWelcomeBonus') !== false
+    });
+
+    const rows = basket.items.map(({ item, option }) => `
+        <tr>
+            <td>
+                <div class="comparison-card">${item.merchant || item.category}</div>
+                <div class="comparison-tier">${item.merchant && item.category ? item.category : ''}</div>
+            </td>
+            <td>$${item.amount.toFixed(2)}</td>
+            ${option ? `
+                <td>
+                    <div class="comparison-card">${option.card.name}</div>
+                    <div class="comparison-tier">${option.reward.category} · ${formatRewardDisplay(option).rateDisplay}</div>
+                </td>
+                <td>$${option.estimatedValue.toFixed(2)}</td>
+            ` : '<td>No eligible card</td><td>—</td>'}
+        </tr>
+    `).join('');
+
+    const totalAmount = basket.items.reduce((sum, { item }) => sum + item.amount, 0);
+    resultContainer.innerHTML = `
+        <div class="recommendation-card">
+            <div class="recommendation-title">$${basket.totalValue.toFixed(2)} in rewards</div>
+            <div class="recommendation-reason">Across $${totalAmount.toFixed(2)} of spending.</div>
+            <div class="recommendation-benefits">
+                ${basket.byCard.map(e => `<span class="benefit-badge">${e.card.name}: $${e.amount.toFixed(2)} → $${e.value.toFixed(2)}</span>`).join('')}
+            </div>
+        </div>
+        <div class="comparison-section">
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table">
+                    <thead>
+                        <tr><th>Item</th><th>Amount</th><th>Card / Tier</th><th>Est. Value</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// Per-card allocation when splitting the purchase beats any single card
+function renderSplitPlan(splitPlan) {
+    if (!splitPlan) return '';
+    const rows = splitPlan.allocations.map(allocation => `
+        <tr>
+            <td>
+                <div class="comparison-card">${allocation.card.name}</div>
+                <div class="comparison-tier">${allocation.tiers.join(' + ')}</div>
+            </td>
+            <td>$${allocation.amount.toFixed(2)}</td>
+            <td>$${allocation.value.toFixed(2)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="comparison-section">
+            <div class="reward-tier-header">✂️ Split Plan (+$${splitPlan.gain.toFixed(2)} vs. one card)</div>
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table">
+                    <thead>
+                        <tr><th>Card</th><th>Charge</th><th>Est. Value</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                    <tfoot>
+                        <tr><td>Total</td><td></td><td>$${splitPlan.totalValue.toFixed(2)}</td></tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// Ranked table of every eligible card/tier, compared against the best option
+function renderComparisonTable(options) {
+    const bestValue = options[0].estimatedValue;
+    const rows = options.map((option, index) => {
+        const { rewardValueDisplay, rateDisplay } = formatRewardDisplay(option);
+        const difference = option.estimatedValue - bestValue;
+        return `
+            <tr class="${index === 0 ? 'best-option' : ''}">
+                <td class="rank">${index + 1}</td>
+                <td>
+                    <div class="comparison-card">${option.card.name}</div>
+                    <div class="comparison-tier">${option.reward.category}${option.reward.portal ? ` · via ${option.reward.portal}` : ''}${option.offerValue > 0 ? ` · +$${option.offerValue.toFixed(2)} offer` : ''}${option.welcomeBonus ? ' · 🎉 welcome bonus' : ''}</div>
+                </td>
+                <td>${rateDisplay}</td>
+                <td>${rewardValueDisplay}</td>
+                <td>$${option.estimatedValue.toFixed(2)}</td>
+                <td>${option.capStatus}</td>
+                <td class="difference">${index === 0 ? 'Best' : `-$${Math.abs(difference).toFixed(2)}`}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="comparison-section">
+            <div class="reward-tier-header">All Eligible Options</div>
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Card / Tier</th>
+                            <th>Rate</th>
+                            <th>Reward</th>
+                            <th>Est. Value</th>
+                            <th>Cap</th>
+                            <th>vs Best</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
             </div>
         </div>
     `;
+}
 
-    // Run iOS Shortcut if on an Apple device and enabled
-    const enableShortcutsAutomation = await storage.get('enableShortcutsAutomation') !== false;
-    if (isApple() && enableShortcutsAutomation) {
-        const amount = purchaseDetails.amount || 0;
-        const category = purchaseDetails.category || '';
-        const paymentMethod = purchaseDetails.paymentMethod || '';
-        const merchant = purchaseDetails.merchant || '';
-        const portal = purchaseDetails.portal || '';
-        // Construct input: amount=X%26category=Y%26paymentMethod=Z%26merchant=A%26portal=B
-        const shortcutUrl = `shortcuts://run-shortcut?name=RecommendCard&input=amount=${amount}%26category=${encodeURIComponent(category)}%26paymentMethod=${encodeURIComponent(paymentMethod)}%26merchant=${encodeURIComponent(merchant)}%26portal=${encodeURIComponent(portal)}`;
+// Why each wallet card (or one of its better tiers) was left out of the ranking
+function renderRejections(rejections) {
+    if (rejections.length === 0) return '';
 
-        console.log('[Shortcut] Triggering:', shortcutUrl);
-        // Use a slight delay to ensure UI renders before app switch
-        setTimeout(() => {
-            window.location.href = shortcutUrl;
-        }, 300);
-    }
+    return `
+        <div class="comparison-section">
+            <div class="reward-tier-header">Excluded</div>
+            <div class="excluded-list">
+                ${rejections.map(rejection => `
+                    <div class="excluded-item" data-code="${rejection.code}">
+                        <div>
+                            <div class="comparison-card">${rejection.cardName}</div>
+                            ${rejection.tierCategory ? `<div class="comparison-tier">${rejection.tierCategory}</div>` : ''}
+                        </div>
+                        <div class="excluded-reason">${rejection.message}</div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
 }
 
 async function checkDeepLinkImport() {
@@ -941,7 +1993,9 @@ async function checkDeepLinkImport() {
     }
 }
 
-function handleBatchImport(batch) {
+// Preview/confirm modal for a batch of transactions. Wallet syncs match the
+// card by name; statement imports set `cardId` on each item.
+function handleBatchImport(batch, { title = 'Sync from Wallet', walletSync = true } = {}) {
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
     // Ensure modal appears above any onboarding skeleton (onboarding uses z-index:20000)
@@ -955,19 +2009,22 @@ function handleBatchImport(batch) {
     overlay.style.justifyContent = 'center';
     overlay.style.zIndex = '30001';
 
-    let itemsHtml = batch.map(item => `
-        <div class="import-item">
+    let itemsHtml = batch.map(item => {
+        const amount = parseAmount(item.amt ?? item.amount);
+        return `
+        <div class="import-item${amount < 0 ? ' refund' : ''}">
             <div class="info">
-                <div style="font-weight: 600;">${item.merch || 'Unknown Merchant'}</div>
-                <div class="details">${item.card || 'Default Card'} • ${new Date().toLocaleDateString()}</div>
+                <div style="font-weight: 600;">${escapeHtml(item.merch) || 'Unknown Merchant'}</div>
+                <div class="details">${amount < 0 ? '↩️ Refund • ' : ''}${escapeHtml(item.cardId ? cards.find(c => c.id === item.cardId)?.name : item.card || 'Default Card')} • ${new Date(parseTransactionDate(item.date) || Date.now()).toLocaleDateString()}</div>
             </div>
-            <div class="amount">+$${parseFloat(item.amt).toFixed(2)}</div>
+            <div class="amount">${amount < 0 ? '−' : '+'}$${Math.abs(amount).toFixed(2)}</div>
         </div>
-    `).join('');
+    `;
+    }).join('');
 
     overlay.innerHTML = `
         <div class="modal-content">
-            <h3>Sync from Wallet</h3>
+            <h3>${title}</h3>
             <p style="color: var(--text-secondary); margin-bottom: 16px;">
                 Found <strong>${batch.length}</strong> new transactions. Apply these to your spending caps?
             </p>
@@ -983,7 +2040,7 @@ function handleBatchImport(batch) {
 
     document.getElementById('cancelImport').onclick = () => overlay.remove();
     document.getElementById('confirmImport').onclick = async () => {
-        await processBatchImport(batch);
+        await processBatchImport(batch, { walletSync });
         overlay.remove();
     };
 }
@@ -1039,7 +2096,7 @@ async function handleClipboardImport() {
         // Validate data structure
         const isValid = batch.every(item =>
             item && typeof item === 'object' &&
-            (item.amt !== undefined || item.amount !== undefined)
+            !isNaN(parseAmount(item.amt ?? item.amount))
         );
 
         if (!isValid) {
@@ -1056,41 +2113,473 @@ async function handleClipboardImport() {
     }
 }
 
-async function processBatchImport(batch) {
+// Record one imported transaction the way a hand-entered payment is: tier
+// match, refund link, reward snapshot and offers. The caller saves and
+// re-renders once the whole import is done. Returns null without a card.
+async function recordImportedPayment(card, fields) {
+    if (!card) return null;
+    const payment = {
+        id: Date.now() + Math.random(),
+        cardId: card.id,
+        cardName: card.name,
+        ...fields
+    };
+    payment.rewardIndex = matchRewardTier(card, {
+        category: payment.category,
+        merchant: payment.merchant,
+        paymentMethod: payment.method,
+        date: payment.date
+    });
+
+    // Imported refunds carry no link; tie them to the purchase they reverse
+    if (isRefund(payment)) {
+        const original = findRefundOriginal(payments, payment);
+        if (original) linkRefund(payment, original);
+    }
+
+    payment.reward = await snapshotReward(card, payment);
+    payments.unshift(payment);
+    if (!isRefund(payment)) await redeemPaymentOffers(card, payment);
+    return payment;
+}
 
-    for (const item of batch) {
-        // Find card by name (partial match)
-        const card = cards.find(c => c.name.toLowerCase().includes((item.card || '').toLowerCase())) || cards[0];
+async function processBatchImport(batch, { walletSync = true } = {}) {
+    if (cards.length === 0) {
+        alert('Add the card these transactions belong to before importing them.');
+        return;
+    }
 
-        const newPayment = {
-            id: Date.now() + Math.random(),
-            amount: parseFloat(item.amt),
+    // Oldest first, so each payment's snapshot sees the earlier ones in the
+    // batch toward its caps and offers are claimed in order (OFX files and
+    // Shortcut batches are often newest-first)
+    const entries = batch.map(item => ({
+        item,
+        fields: {
+            amount: parseAmount(item.amt ?? item.amount), // Negative for refunds
             category: item.category || 'General',
-            cardId: card ? card.id : null,
-            cardName: card ? card.name : 'Unknown',
-            method: 'apple-pay',
+            method: item.method || 'apple-pay',
             merchant: item.merch || 'Unknown Merchant',
-            date: new Date().toISOString()
-        };
-
-        // Simple deduplication: Check if same merchant/amount/date exists
-        const exists = payments.some(p =>
-            p.amount === newPayment.amount &&
-            p.merchant === newPayment.merchant &&
-            new Date(p.date).toDateString() === new Date(newPayment.date).toDateString()
+            date: parseTransactionDate(item.date) || new Date().toISOString(),
+            ...(item.fitid ? { fitid: item.fitid } : {})
+        }
+    })).sort((a, b) => new Date(a.fields.date) - new Date(b.fields.date));
+
+    for (const { item, fields } of entries) {
+        // Statement imports name the card; the Shortcut sends a (partial) card name
+        const card = item.cardId ? cards.find(c => c.id === item.cardId) :
+            cards.find(c => c.name.toLowerCase().includes((item.card || '').toLowerCase())) || cards[0];
+
+        // Statement transactions carry a unique id; otherwise fall back to
+        // the same merchant and amount on the transaction's day
+        const exists = item.fitid ? payments.some(p => p.fitid === item.fitid) : payments.some(p =>
+            p.amount === fields.amount &&
+            p.merchant === fields.merchant &&
+            new Date(p.date).toDateString() === new Date(fields.date).toDateString()
         );
 
-        if (!exists) {
-            payments.unshift(newPayment);
-        }
+        if (!exists) await recordImportedPayment(card, fields);
     }
 
     await storage.set('payments', payments);
-    await storage.updateWalletSyncTime();
+    if (walletSync) await storage.updateWalletSyncTime();
     renderPayments();
+    renderCards(); // Welcome bonus progress
     updateStats();
 }
 
+function renderExportColumns() {
+    const container = document.getElementById('exportColumns');
+    if (!container) return;
+    container.innerHTML = EXPORT_COLUMNS.map(column => `
+        <label>
+            <input type="checkbox" class="export-column" value="${column.id}" style="width: auto;" ${DEFAULT_EXPORT_COLUMNS.includes(column.id) ? 'checked' : ''}>
+            ${column.label}
+        </label>
+    `).join('');
+}
+
+async function handleTransactionExport() {
+    const columnIds = [...document.querySelectorAll('.export-column:checked')].map(box => box.value);
+    if (columnIds.length === 0) {
+        alert('Choose at least one column to export.');
+        return;
+    }
+
+    const selected = filterPayments(payments, {
+        cardId: document.getElementById('exportCard').value,
+        from: document.getElementById('exportFrom').value,
+        to: document.getElementById('exportTo').value
+    });
+    if (selected.length === 0) {
+        alert('No payments match these dates and card.');
+        return;
+    }
+
+    // Payments recorded before reward snapshots existed get one computed now
+    const rows = [];
+    for (const payment of selected) {
+        const card = cards.find(c => c.id === payment.cardId);
+        rows.push(payment.reward || !card ? payment : { ...payment, reward: await snapshotReward(card, payment) });
+    }
+
+    const formatKey = document.getElementById('exportFormat').value;
+    const format = EXPORT_FORMATS[formatKey];
+    const blob = new Blob([formatPaymentsExport(rows, columnIds, formatKey)], { type: format.type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `OptimalSwipe_Transactions.${format.extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Payment text can come from statement files or the Shortcut bridge, so it
+// is escaped wherever it goes into markup
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+async function handleStatementFile(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Let the same file be picked again
+    if (!file) return;
+    if (cards.length === 0) {
+        alert('Add the card this statement belongs to before importing it.');
+        return;
+    }
+
+    const text = await file.text();
+    if (isOfx(text)) {
+        await handleOfxImport(text);
+        return;
+    }
+
+    const table = parseDelimited(text);
+    if (table.headers.length === 0 || table.rows.length === 0) {
+        alert('No transactions found. Export the statement as CSV and try again.');
+        return;
+    }
+    showStatementImportModal(table, file.name);
+}
+
+// OFX/QFX downloads: map each account to a card (remembered for next time),
+// drop transactions whose FITID is already recorded, then preview and confirm
+// like a wallet sync.
+async function handleOfxImport(text) {
+    const statements = parseOfx(text).filter(s => s.transactions.length > 0);
+    if (statements.length === 0) {
+        alert('No transactions found in this OFX/QFX file.');
+        return;
+    }
+
+    const unmapped = statements.filter(s => !cards.some(c => c.id === ofxAccounts[s.accountId]));
+    if (unmapped.length > 0) {
+        const mapping = await showOfxAccountModal(unmapped);
+        if (!mapping) return;
+        ofxAccounts = { ...ofxAccounts, ...mapping };
+        await storage.set('ofxAccounts', ofxAccounts);
+    }
+
+    const batch = [];
+    let recorded = 0;
+    let billPayments = 0;
+    statements.forEach(({ accountId, accountType, transactions }) => {
+        transactions.forEach(trn => {
+            const fitid = getOfxPaymentId(accountId, trn.fitid);
+            const merchant = trn.name || trn.memo || 'Unknown Merchant';
+            if (fitid && payments.some(p => p.fitid === fitid)) {
+                recorded++;
+                return;
+            }
+            // On a card account a PAYMENT is the bill being paid, not spending
+            if ((accountType === 'credit-card' && trn.type === 'PAYMENT') || isBillPayment(merchant)) {
+                billPayments++;
+                return;
+            }
+            // Charges are negative in OFX; payments store purchases as positive
+            const amount = -trn.amount;
+            batch.push({
+                amt: amount,
+                merch: merchant,
+                date: trn.date,
+                category: resolveImportCategory({ merchant }, merchantOverrides),
+                cardId: ofxAccounts[accountId],
+                method: 'physical-card',
+                fitid
+            });
+        });
+    });
+
+    if (batch.length === 0) {
+        alert(`Nothing new to import: ${recorded} transaction${recorded === 1 ? ' is' : 's are'} already recorded` +
+            (billPayments > 0 ? ` and ${billPayments} ${billPayments === 1 ? 'is a bill payment' : 'are bill payments'}.` : '.'));
+        return;
+    }
+    handleBatchImport(batch, { title: 'Import Statement', walletSync: false });
+}
+
+// Ask which card each new OFX account belongs to. Resolves { accountId: cardId } or null.
+function showOfxAccountModal(statements) {
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.style.zIndex = '40000';
+        // Only the last four digits are shown
+        const mask = accountId => accountId ? `••••${escapeHtml(accountId.slice(-4))}` : 'Unnamed account';
+
+        overlay.innerHTML = `
+            <div class="modal-content" style="max-width: 440px; text-align: left;">
+                <h3 style="margin-bottom: 8px; text-align: center;">Which card is this?</h3>
+                <p class="description" style="margin-bottom: 24px; text-align: center;">OptimalSwipe remembers your choice for future downloads.</p>
+                ${statements.map((statement, i) => `
+                    <div class="form-group">
+                        <label for="ofxAccount-${i}" class="inline-label">Account ${mask(statement.accountId)} (${statement.transactions.length} transactions)</label>
+                        <select id="ofxAccount-${i}">
+                            ${cards.map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+                <div class="modal-actions">
+                    <button id="cancelOfxAccounts" class="btn-secondary" style="flex: 1;">Cancel</button>
+                    <button id="saveOfxAccounts" class="btn" style="flex: 1;">Continue</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('#saveOfxAccounts').onclick = () => {
+            const mapping = Object.fromEntries(statements.map((statement, i) => [
+                statement.accountId,
+                Number(overlay.querySelector(`#ofxAccount-${i}`).value)
+            ]));
+            overlay.remove();
+            resolve(mapping);
+        };
+        overlay.querySelector('#cancelOfxAccounts').onclick = () => {
+            overlay.remove();
+            resolve(null);
+        };
+    });
+}
+
+const STATEMENT_FIELDS = [
+    { field: 'date', label: 'Date' },
+    { field: 'description', label: 'Description' },
+    { field: 'amount', label: 'Amount' },
+    { field: 'debit', label: 'Debit' },
+    { field: 'credit', label: 'Credit' },
+    { field: 'category', label: 'Category (Optional)' }
+];
+
+const SIGN_LABELS = {
+    [SIGN_CONVENTIONS.PURCHASES_POSITIVE]: 'Purchases positive, credits negative',
+    [SIGN_CONVENTIONS.PURCHASES_NEGATIVE]: 'Purchases negative, credits positive',
+    [SIGN_CONVENTIONS.DEBIT_CREDIT]: 'Separate debit and credit columns'
+};
+
+// Column mapper, duplicate-aware preview and card assignment for a CSV statement
+function showStatementImportModal(table, fileName) {
+    const profiles = [...importProfiles, ...ISSUER_PROFILES];
+    const detected = detectProfile(table.headers, profiles);
+    let transactions = [];
+    let selected = new Set();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.style.zIndex = '40000';
+    const headerOptions = ['<option value="">Not in file</option>',
+        ...table.headers.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`)].join('');
+
+    overlay.innerHTML = `
+        <div class="modal-content" style="max-width: 560px; max-height: 90vh; overflow-y: auto; text-align: left;">
+            <h3 style="margin-bottom: 8px; text-align: center;">Import Statement</h3>
+            <p class="description" style="margin-bottom: 16px; text-align: center;">${escapeHtml(fileName)} • ${table.rows.length} rows</p>
+            <div class="statement-mapper">
+                <div style="grid-column: 1 / -1;">
+                    <label for="statementProfile" class="inline-label">Format</label>
+                    <select id="statementProfile">
+                        <option value="">Custom mapping</option>
+                        ${profiles.map(p => `<option value="${p.id}" ${detected && detected.id === p.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+                    </select>
+                </div>
+                ${STATEMENT_FIELDS.map(({ field, label }) => `
+                    <div data-field-group="${field}">
+                        <label class="inline-label">${label}</label>
+                        <select class="statement-column" data-field="${field}">${headerOptions}</select>
+                    </div>
+                `).join('')}
+                <div style="grid-column: 1 / -1;">
+                    <label for="statementSign" class="inline-label">Amount Signs</label>
+                    <select id="statementSign">
+                        ${Object.entries(SIGN_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label for="statementCard" class="inline-label">Card</label>
+                    <select id="statementCard">
+                        ${cards.map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label for="statementMethod" class="inline-label">Paid With</label>
+                    <select id="statementMethod">
+                        <option value="physical-card">Physical card</option>
+                        <option value="apple-pay">Apple Pay</option>
+                    </select>
+                </div>
+            </div>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0; margin-top: 12px;">
+                <input type="checkbox" id="statementSkipPayments" style="width: auto;" checked>
+                Skip card bill payments (autopay, "Payment - Thank You")
+            </label>
+            <div id="statementPreview" class="import-list"></div>
+            <p id="statementSummary" class="description" style="font-size: 0.8rem;"></p>
+            <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 8px; margin-top: 12px;">
+                <input type="text" id="statementProfileName" placeholder="Save this mapping as… (e.g. My Credit Union)">
+                <button type="button" id="saveStatementProfileBtn" class="btn-secondary">Save Format</button>
+            </div>
+            <div class="modal-actions">
+                <button id="cancelStatementImport" class="btn-secondary" style="flex: 1;">Cancel</button>
+                <button id="confirmStatementImport" class="btn" style="flex: 1;">Import</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const columnSelects = [...overlay.querySelectorAll('.statement-column')];
+    const signSelect = overlay.querySelector('#statementSign');
+    const preview = overlay.querySelector('#statementPreview');
+    const confirmBtn = overlay.querySelector('#confirmStatementImport');
+
+    const readMapping = () => ({
+        columns: Object.fromEntries(columnSelects.map(select => [select.getAttribute('data-field'), select.value])),
+        sign: signSelect.value
+    });
+
+    const applyMapping = ({ columns, sign }) => {
+        columnSelects.forEach(select => {
+            const wanted = (columns[select.getAttribute('data-field')] || '').toLowerCase();
+            select.value = table.headers.find(h => h.toLowerCase() === wanted) || '';
+        });
+        signSelect.value = sign;
+    };
+
+    const updateSummary = () => {
+        const duplicates = transactions.filter(t => t.duplicate).length;
+        overlay.querySelector('#statementSummary').textContent =
+            `${selected.size} of ${transactions.length} transactions selected` +
+            (duplicates > 0 ? ` • ${duplicates} already recorded` : '');
+        confirmBtn.textContent = `Import ${selected.size}`;
+        confirmBtn.disabled = selected.size === 0;
+    };
+
+    const refreshPreview = () => {
+        const mapping = readMapping();
+        const debitCredit = mapping.sign === SIGN_CONVENTIONS.DEBIT_CREDIT;
+        overlay.querySelectorAll('[data-field-group]').forEach(group => {
+            const field = group.getAttribute('data-field-group');
+            const hidden = debitCredit ? field === 'amount' : field === 'debit' || field === 'credit';
+            group.style.display = hidden ? 'none' : 'block';
+        });
+
+        const cardId = Number(overlay.querySelector('#statementCard').value);
+        const skipPayments = overlay.querySelector('#statementSkipPayments').checked;
+        const { transactions: mapped, invalid } = mapStatementRows(table, mapping);
+        transactions = mapped.map(t => ({
+            ...t,
+            duplicate: !!findDuplicatePayment(payments, { cardId, amount: t.amount, date: t.date })
+        }));
+        selected = new Set(transactions
+            .filter(t => !t.duplicate && !(skipPayments && t.billPayment))
+            .map(t => t.index));
+
+        preview.innerHTML = transactions.length === 0 ?
+            '<div class="empty-state">No rows could be read with this mapping.</div>' :
+            transactions.map(t => `
+                <label class="import-item${t.amount < 0 ? ' refund' : ''}${selected.has(t.index) ? '' : ' skipped'}">
+                    <input type="checkbox" class="statement-row" data-index="${t.index}" style="width: auto;" ${selected.has(t.index) ? 'checked' : ''}>
+                    <div class="info">
+                        <div style="font-weight: 600;">${escapeHtml(t.merchant) || 'Unknown Merchant'}</div>
+                        <div class="details">${new Date(t.date).toLocaleDateString()}${t.category ? ` • ${escapeHtml(t.category)}` : ''}${t.duplicate ? ' • Already recorded' : ''}${t.billPayment ? ' • Bill payment' : ''}</div>
+                    </div>
+                    <div class="amount">${t.amount < 0 ? '−' : ''}$${Math.abs(t.amount).toFixed(2)}</div>
+                </label>
+            `).join('') +
+            (invalid.length > 0 ? `<div class="import-item"><div class="details">${invalid.length} row${invalid.length === 1 ? '' : 's'} without a readable date or amount skipped</div></div>` : '');
+
+        preview.querySelectorAll('.statement-row').forEach(box => {
+            box.addEventListener('change', () => {
+                const index = Number(box.getAttribute('data-index'));
+                if (box.checked) selected.add(index);
+                else selected.delete(index);
+                box.closest('.import-item').classList.toggle('skipped', !box.checked);
+                updateSummary();
+            });
+        });
+        updateSummary();
+    };
+
+    if (detected) applyMapping(detected);
+    overlay.querySelector('#statementProfile').addEventListener('change', e => {
+        const profile = profiles.find(p => p.id === e.target.value);
+        if (profile) applyMapping(profile);
+        refreshPreview();
+    });
+    [...columnSelects, signSelect].forEach(select => select.addEventListener('change', () => {
+        overlay.querySelector('#statementProfile').value = '';
+        refreshPreview();
+    }));
+    overlay.querySelector('#statementCard').addEventListener('change', refreshPreview);
+    overlay.querySelector('#statementSkipPayments').addEventListener('change', refreshPreview);
+    refreshPreview();
+
+    overlay.querySelector('#saveStatementProfileBtn').onclick = async () => {
+        const name = overlay.querySelector('#statementProfileName').value.trim();
+        if (!name) {
+            alert('Give this format a name to save it.');
+            return;
+        }
+        const profile = { id: 'custom-' + Date.now(), name, ...readMapping() };
+        importProfiles.push(profile);
+        profiles.unshift(profile);
+        await storage.set('importProfiles', importProfiles);
+        const option = new Option(name, profile.id, true, true);
+        overlay.querySelector('#statementProfile').add(option, 1);
+        overlay.querySelector('#statementProfileName').value = '';
+    };
+
+    overlay.querySelector('#cancelStatementImport').onclick = () => overlay.remove();
+    confirmBtn.onclick = async () => {
+        const card = cards.find(c => c.id === Number(overlay.querySelector('#statementCard').value));
+        const method = overlay.querySelector('#statementMethod').value;
+        confirmBtn.disabled = true;
+
+        // Oldest first, so each payment's reward snapshot sees the caps before it
+        const chosen = transactions
+            .filter(t => selected.has(t.index))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        for (const t of chosen) {
+            await recordImportedPayment(card, {
+                amount: t.amount,
+                category: resolveImportCategory(t, merchantOverrides),
+                method,
+                merchant: t.merchant || 'Unknown Merchant',
+                date: t.date
+            });
+        }
+
+        await storage.set('payments', payments);
+        overlay.remove();
+        renderPayments();
+        renderCards(); // Welcome bonus progress
+        updateStats();
+    };
+}
+
 async function showOnboarding() {
     let overlay = document.getElementById('onboardingOverlay');
     if (!overlay) {
@@ -1629,10 +3118,7 @@ window.addCardFromPreset = async function (presetId) {
     if (!config) return; // User cancelled
 
     // Apply configuration
-    if (config.categoryIndex !== -1) {
-        newCard.rewards[config.categoryIndex].category = config.selectedCategory;
-    }
-    newCard.rewardMultiplier = config.multiplier;
+    applyCardConfiguration(newCard, config);
 
     cards = [...cards, newCard];
     await storage.set('cards', cards);
@@ -1644,6 +3130,36 @@ window.addCardFromPreset = async function (presetId) {
     // alert(`${ preset.name } added to your wallet!`); (Modal handles feedback now)
 };
 
+function applyCardConfiguration(card, config) {
+    if (config.categoryIndex !== -1) {
+        const reward = card.rewards[config.categoryIndex];
+        reward.category = config.selectedCategory;
+        reward.categoryIds = mapCategoryText(config.selectedCategory);
+    }
+    config.rotations.forEach(({ rewardIndex, categoryText }) => {
+        const reward = card.rewards[rewardIndex];
+        // "Gas & EV" maps to both gas and ev-charging; keep only the broadest
+        const categoryIds = mapCategoryText(categoryText)
+            .filter((id, _, ids) => !ids.some(other => other !== id && isCategoryWithin(id, other)));
+        reward.rotatingCategories = { ...reward.rotatingCategories, [config.quarter]: categoryIds };
+        if (categoryIds.length === 0) delete reward.rotatingCategories[config.quarter];
+    });
+    if (config.rotations.length > 0) {
+        const otherQuarters = (card.activatedQuarters || []).filter(q => q !== config.quarter);
+        card.activatedQuarters = config.rotationActivated ? [...otherQuarters, config.quarter] : otherQuarters;
+    }
+    card.boosts = config.boosts;
+    config.tierBoosts.forEach((boosts, i) => {
+        if (boosts.length > 0) card.rewards[i].boosts = boosts;
+        else delete card.rewards[i].boosts;
+    });
+    if (config.welcomeBonus) card.welcomeBonus = config.welcomeBonus;
+    else delete card.welcomeBonus;
+    card.rewardMultiplier = config.multiplier;
+    card.statementClosingDay = config.statementClosingDay;
+    card.accountOpenDate = config.accountOpenDate;
+}
+
 async function showCardConfigurationModal(card) {
     return new Promise(resolve => {
         const overlay = document.createElement('div');
@@ -1655,6 +3171,16 @@ async function showCardConfigurationModal(card) {
         const choices = choiceRewardIndex !== -1 ? card.rewards[choiceRewardIndex].choices : null;
         const currentMultiplier = card.rewardMultiplier || 1.0;
         const currentBoostPercent = Math.round((currentMultiplier - 1) * 100);
+        const quarter = getQuarterKey();
+        const welcomeBonus = card.welcomeBonus || {};
+        // Bonuses pay out in the card's main currency (the unit of its base tier)
+        const defaultBonusUnit = welcomeBonus.unit || (getBaseTier(card) || card.rewards[0] || {}).unit || 'cashback';
+        const rotatingIndexes = card.rewards.map((r, i) => (isRotatingTier(r) ? i : -1)).filter(i => i !== -1);
+        // Card-wide boosts, then each tier's own (`tierIndex` null for the card)
+        const existingBoosts = [
+            ...(card.boosts || []).map(boost => ({ boost, tierIndex: null })),
+            ...card.rewards.flatMap((r, tierIndex) => (r.boosts || []).map(boost => ({ boost, tierIndex })))
+        ];
 
         // Pre-parse currently selected categories, only keeping valid choices
         const currentCategoryStr = choiceRewardIndex !== -1 ? (card.rewards[choiceRewardIndex].category || '') : '';
@@ -1700,6 +3226,122 @@ async function showCardConfigurationModal(card) {
                     </div>
                 </div>
 
+                ${rotatingIndexes.length > 0 ? `
+                    <div style="margin-bottom: 24px; padding: 16px; background: rgba(255,255,255,0.03); border-radius: 12px; border: 1px solid var(--border);">
+                        <label style="font-size: 0.75rem; color: var(--accent-gold); margin-bottom: 8px; display: block;">🔄 ${formatQuarter(quarter)} Rotating Categories</label>
+                        ${rotatingIndexes.map(i => `
+                            <label for="rotationInput-${i}" class="inline-label">${card.rewards[i].category}</label>
+                            <input type="text" id="rotationInput-${i}" class="rotation-input" data-index="${i}"
+                                   value="${formatCategoryIds(getRotatingCategoryIds(card.rewards[i]))}" placeholder="e.g. Gas, Groceries" style="margin-bottom: 10px;">
+                        `).join('')}
+                        <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0;">
+                            <input type="checkbox" id="rotationActivatedInput" style="width: auto;" ${(card.activatedQuarters || []).includes(quarter) ? 'checked' : ''}>
+                            Activated with the issuer this quarter
+                        </label>
+                    </div>
+                ` : ''}
+
+                <div style="margin-bottom: 24px; padding: 16px; background: rgba(255,255,255,0.03); border-radius: 12px; border: 1px solid var(--border);">
+                    <label style="font-size: 0.75rem; color: var(--accent-gold); margin-bottom: 8px; display: block;">🎉 Welcome Bonus (leave blank if none)</label>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+                        <div>
+                            <label for="bonusMinSpendInput" class="inline-label">Minimum Spend ($)</label>
+                            <input type="number" id="bonusMinSpendInput" min="0" value="${welcomeBonus.minSpend || ''}" placeholder="e.g. 4000">
+                        </div>
+                        <div>
+                            <label for="bonusAmountInput" class="inline-label">Bonus (${defaultBonusUnit === 'cashback' ? '$' : defaultBonusUnit})</label>
+                            <input type="number" id="bonusAmountInput" min="0" value="${welcomeBonus.bonus || ''}" placeholder="e.g. 60000">
+                        </div>
+                        <div>
+                            <label for="bonusStartInput" class="inline-label">Spend Starts</label>
+                            <input type="date" id="bonusStartInput" value="${welcomeBonus.startDate || card.accountOpenDate || ''}">
+                        </div>
+                        <div>
+                            <label for="bonusDeadlineInput" class="inline-label">Deadline</label>
+                            <input type="date" id="bonusDeadlineInput" value="${welcomeBonus.deadline || ''}">
+                        </div>
+                    </div>
+                </div>
+
+                <div style="margin-bottom: 24px; padding: 16px; background: rgba(255,255,255,0.03); border-radius: 12px; border: 1px solid var(--border);">
+                    <label style="font-size: 0.75rem; color: var(--accent-emerald); margin-bottom: 8px; display: block;">🎁 Boost Rules & Promos</label>
+                    ${existingBoosts.map(({ boost, tierIndex }, i) => `
+                        <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0; margin-bottom: 6px;">
+                            <input type="checkbox" class="boost-keep-input" data-index="${i}" style="width: auto;" checked>
+                            ${boost.multiplier}x ${boost.name}${tierIndex !== null ? ` on ${card.rewards[tierIndex].category}` : ''}${formatBoostLimits(boost) ? ` (${formatBoostLimits(boost)})` : ''}
+                        </label>
+                    `).join('')}
+                    <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 12px; margin-top: 8px;">
+                        <div>
+                            <label for="boostNameInput" class="inline-label">New Boost</label>
+                            <input type="text" id="boostNameInput" placeholder="e.g. 2x Holiday Promo">
+                        </div>
+                        <div>
+                            <label for="boostMultiplierInput" class="inline-label">Multiplier</label>
+                            <input type="number" id="boostMultiplierInput" step="0.5" min="1" placeholder="2">
+                        </div>
+                        <div>
+                            <label for="boostScheduleInput" class="inline-label">Schedule</label>
+                            <select id="boostScheduleInput">
+                                <option value="date-range">Date range</option>
+                                <option value="day-of-month">Day of month</option>
+                                <option value="weekday">Weekdays</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label for="boostTargetInput" class="inline-label">Applies To</label>
+                            <select id="boostTargetInput">
+                                <option value="">Whole card</option>
+                                ${card.rewards.map((r, i) => `<option value="${i}">${r.category}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="boost-schedule-field" data-schedule="date-range">
+                            <label for="boostStartInput" class="inline-label">Starts</label>
+                            <input type="date" id="boostStartInput">
+                        </div>
+                        <div class="boost-schedule-field" data-schedule="date-range">
+                            <label for="boostEndInput" class="inline-label">Ends</label>
+                            <input type="date" id="boostEndInput">
+                        </div>
+                        <div class="boost-schedule-field" data-schedule="day-of-month" style="display: none;">
+                            <label for="boostDayInput" class="inline-label">Day</label>
+                            <input type="number" id="boostDayInput" min="1" max="31" placeholder="e.g. 1">
+                        </div>
+                        <div class="boost-schedule-field" data-schedule="weekday" style="display: none; grid-column: 1 / -1;">
+                            <span class="inline-label">Days</span>
+                            <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+                                ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, i) => `
+                                    <label style="display: flex; align-items: center; gap: 4px; font-size: 0.75rem; text-transform: none; letter-spacing: 0;">
+                                        <input type="checkbox" class="boost-weekday-input" value="${i}" style="width: auto;">${day}
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </div>
+                        <div>
+                            <label for="boostMaxBonusInput" class="inline-label">Max Bonus</label>
+                            <input type="number" id="boostMaxBonusInput" min="0" placeholder="No limit">
+                        </div>
+                        <div>
+                            <label for="boostExcludeInput" class="inline-label">Excluded Categories</label>
+                            <input type="text" id="boostExcludeInput" placeholder="e.g. Rent" list="categoryOptions">
+                        </div>
+                    </div>
+                </div>
+
+                <div style="margin-bottom: 24px; padding: 16px; background: rgba(255,255,255,0.03); border-radius: 12px; border: 1px solid var(--border);">
+                    <label style="font-size: 0.75rem; color: var(--accent-gold); margin-bottom: 8px; display: block;">🗓️ Billing Cycle (for statement & anniversary caps)</label>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+                        <div>
+                            <label for="closingDayInput" class="inline-label">Statement Closing Day</label>
+                            <input type="number" id="closingDayInput" value="${card.statementClosingDay || ''}" min="1" max="31" placeholder="e.g. 24">
+                        </div>
+                        <div>
+                            <label for="openDateInput" class="inline-label">Account Open Date</label>
+                            <input type="date" id="openDateInput" value="${card.accountOpenDate || ''}">
+                        </div>
+                    </div>
+                </div>
+
                 <div style="display: flex; gap: 12px; margin-top: 12px;">
                     <button id="saveConfigBtn" class="btn" style="flex: 2;">Save Configuration</button>
                     <button id="cancelConfigBtn" class="btn-secondary" style="flex: 1;">Cancel</button>
@@ -1736,6 +3378,14 @@ async function showCardConfigurationModal(card) {
             });
         });
 
+        // Only the inputs for the chosen boost schedule are shown
+        const boostSchedule = overlay.querySelector('#boostScheduleInput');
+        boostSchedule.addEventListener('change', () => {
+            overlay.querySelectorAll('.boost-schedule-field').forEach(field => {
+                field.style.display = field.getAttribute('data-schedule') === boostSchedule.value ? '' : 'none';
+            });
+        });
+
         const boostInput = overlay.querySelector('#boostInput');
         const boostPreview = overlay.querySelector('#boostPreview');
 
@@ -1752,11 +3402,68 @@ async function showCardConfigurationModal(card) {
         overlay.querySelector('#saveConfigBtn').onclick = () => {
             const boost = parseFloat(overlay.querySelector('#boostInput').value) || 0;
             const multiplier = 1 + (boost / 100);
+            const closingDay = parseInt(overlay.querySelector('#closingDayInput').value);
+            const openDate = overlay.querySelector('#openDateInput').value;
+            const rotations = [...overlay.querySelectorAll('.rotation-input')].map(input => ({
+                rewardIndex: Number(input.getAttribute('data-index')),
+                categoryText: input.value
+            }));
+            const rotationActivated = !!overlay.querySelector('#rotationActivatedInput')?.checked;
+            const keptBoosts = existingBoosts.filter((_, i) =>
+                overlay.querySelector(`.boost-keep-input[data-index="${i}"]`).checked
+            );
+            const bonusMinSpend = parseFloat(overlay.querySelector('#bonusMinSpendInput').value);
+            const bonusAmount = parseFloat(overlay.querySelector('#bonusAmountInput').value);
+            const bonusDeadline = overlay.querySelector('#bonusDeadlineInput').value;
+            const welcomeBonusConfig = bonusMinSpend > 0 && bonusAmount > 0 && bonusDeadline ? {
+                minSpend: bonusMinSpend,
+                bonus: bonusAmount,
+                unit: defaultBonusUnit,
+                startDate: overlay.querySelector('#bonusStartInput').value || null,
+                deadline: bonusDeadline
+            } : null;
+            const boostName = overlay.querySelector('#boostNameInput').value.trim();
+            const boostMultiplier = parseFloat(overlay.querySelector('#boostMultiplierInput').value);
+            const scheduleType = boostSchedule.value;
+            const boostDay = parseInt(overlay.querySelector('#boostDayInput').value);
+            const boostDays = [...overlay.querySelectorAll('.boost-weekday-input:checked')].map(input => Number(input.value));
+            const boostStart = overlay.querySelector('#boostStartInput').value;
+            const boostEnd = overlay.querySelector('#boostEndInput').value;
+            const schedule =
+                scheduleType === 'day-of-month' ? (boostDay >= 1 && boostDay <= 31 ? { type: scheduleType, day: boostDay } : null) :
+                scheduleType === 'weekday' ? (boostDays.length > 0 ? { type: scheduleType, days: boostDays } : null) :
+                (boostStart && boostEnd ? { type: scheduleType, start: boostStart, end: boostEnd } : null);
+            if (boostName && boostMultiplier > 1 && schedule) {
+                const maxBonus = parseFloat(overlay.querySelector('#boostMaxBonusInput').value);
+                const excludeCategoryIds = mapCategoryText(overlay.querySelector('#boostExcludeInput').value);
+                const target = overlay.querySelector('#boostTargetInput').value;
+                keptBoosts.push({
+                    boost: {
+                        id: 'boost-' + Date.now(),
+                        name: boostName,
+                        schedule,
+                        multiplier: boostMultiplier,
+                        ...(maxBonus > 0 ? { maxBonus } : {}),
+                        ...(excludeCategoryIds.length > 0 ? { excludeCategoryIds } : {})
+                    },
+                    tierIndex: target === '' ? null : Number(target)
+                });
+            }
+            const boosts = keptBoosts.filter(b => b.tierIndex === null).map(b => b.boost);
+            const tierBoosts = card.rewards.map((_, i) => keptBoosts.filter(b => b.tierIndex === i).map(b => b.boost));
             overlay.remove();
             resolve({
                 selectedCategory: selectedCats.join(', '),
                 categoryIndex: choiceRewardIndex,
-                multiplier: multiplier
+                multiplier: multiplier,
+                statementClosingDay: closingDay >= 1 && closingDay <= 31 ? closingDay : null,
+                accountOpenDate: openDate || null,
+                quarter,
+                rotations,
+                rotationActivated,
+                boosts,
+                tierBoosts,
+                welcomeBonus: welcomeBonusConfig
             });
         };
 
@@ -1778,10 +3485,10 @@ function addPresetRewardTier() {
             <div class="form-row">
             <div class="form-group">
                 <label>Category Name / Label</label>
-                <input type="text" class="preset-reward-category" placeholder="e.g. Dining" required>
+                <input type="text" class="preset-reward-category" placeholder="e.g. Dining" list="categoryOptions" required>
             </div>
             <div class="form-group" style="flex: 0.5;">
-                <label>Rate (%)</label>
+                <label>Rate (% or x)</label>
                 <input type="number" step="0.1" class="preset-reward-rate" placeholder="3.0" required>
             </div>
             <button type="button" class="delete-btn" onclick="document.getElementById('preset-tier-${id}').remove()" style="margin-top: 25px;">×</button>
@@ -1807,13 +3514,27 @@ function addPresetRewardTier() {
                         <option value="quarterly">Quarterly</option>
                         <option value="annual">Annual</option>
                         <option value="statement">Statement</option>
+                        <option value="statement-quarterly">Statement Quarter</option>
+                        <option value="anniversary">Anniversary Year</option>
                     </select>
                 </div>
             </div>
             <div class="form-group" style="margin-top: 8px;">
+                <label>Shared Cap Group (optional)</label>
+                <input type="text" class="preset-reward-cap-group" placeholder="e.g. bonus">
+            </div>
+            <div class="form-group" style="margin-top: 8px; display: flex; gap: 16px;">
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0;">
+                    <input type="checkbox" class="preset-reward-catch-all" style="width: auto;">
+                    Catch-all (any category)
+                </label>
                 <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0;">
-                    <input type="checkbox" class="preset-reward-combined-cap" style="width: auto;">
-                    Combined cap with other tiers
+                    <input type="checkbox" class="preset-reward-base-rate" style="width: auto;">
+                    Base rate (earned past caps)
+                </label>
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0;">
+                    <input type="checkbox" class="preset-reward-rotating" style="width: auto;">
+                    Rotating quarterly categories
                 </label>
             </div>
             <div class="form-group" style="margin-top: 12px;">
@@ -1827,8 +3548,28 @@ function addPresetRewardTier() {
                 <label>Specific Merchants (comma-separated, optional)</label>
                 <input type="text" class="preset-reward-merchants" placeholder="e.g. Apple, Uber, Nike">
             </div>
+            <div class="form-row" style="margin-top: 8px;">
+                <div class="form-group">
+                    <label>Excluded Merchants (optional)</label>
+                    <input type="text" class="preset-reward-exclude-merchants" placeholder="e.g. Target, Walmart">
+                </div>
+                <div class="form-group">
+                    <label>Excluded Categories (optional)</label>
+                    <input type="text" class="preset-reward-exclude-categories" placeholder="e.g. Food Delivery" list="categoryOptions">
+                </div>
+            </div>
+            <div class="form-group" style="margin-top: 8px; display: flex; gap: 16px;">
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0;">
+                    <input type="checkbox" class="preset-reward-exclude-superstores" style="width: auto;">
+                    Exclude superstores
+                </label>
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 0.75rem; text-transform: none; letter-spacing: 0;">
+                    <input type="checkbox" class="preset-reward-exclude-warehouse" style="width: auto;">
+                    Exclude warehouse clubs
+                </label>
+            </div>
             <p style="font-size: 0.7rem; color: var(--text-muted); margin-top: 4px; border-bottom: 1px solid rgba(255,255,255,0.05); padding-bottom: 8px;">
-                If choices are provided, users pick categories when adding the card. Merchants apply if entered.
+                If choices are provided, users pick categories when adding the card. Merchants apply if entered. Exclusions carve purchases out of this tier.
             </p>
         `;
     container.appendChild(tierDiv);
@@ -1837,30 +3578,67 @@ function addPresetRewardTier() {
 async function handlePresetSubmit(e) {
     e.preventDefault();
 
+    const currencyId = document.getElementById('presetCurrency')?.value || 'cashback';
+    const currency = rewardCurrencies.find(c => c.id === currencyId);
     const tiers = [];
     document.querySelectorAll('.reward-tier-form').forEach(tier => {
         const choicesInput = tier.querySelector('.preset-reward-choices').value || '';
         const choices = choicesInput.split(',').map(s => s.trim()).filter(s => s.length > 0);
 
+        const category = tier.querySelector('.preset-reward-category').value;
         const tierData = {
-            category: tier.querySelector('.preset-reward-category').value,
+            category: category,
+            categoryIds: mapCategoryText(category),
             rate: parseFloat(tier.querySelector('.preset-reward-rate').value),
             method: tier.querySelector('.preset-reward-method').value,
             spendingCap: parseFloat(tier.querySelector('.preset-reward-cap').value) || 0,
             capPeriod: tier.querySelector('.preset-reward-cap-period').value,
-            combinedCap: tier.querySelector('.preset-reward-combined-cap').checked,
             merchants: tier.querySelector('.preset-reward-merchants').value || '',
-            unit: 'cashback'
+            unit: currency ? currency.unit : 'cashback'
         };
 
+        const capGroup = tier.querySelector('.preset-reward-cap-group').value.trim();
+        if (capGroup) tierData.capGroup = capGroup;
+
+        const baseRate = tier.querySelector('.preset-reward-base-rate').checked;
+        if (baseRate || tier.querySelector('.preset-reward-catch-all').checked) tierData.categoryMatch = 'all';
+        tierData.baseRate = baseRate;
+        if (tier.querySelector('.preset-reward-rotating').checked) {
+            // Categories are set per quarter from the card's configuration
+            tierData.categoryIds = [];
+            tierData.rotatingCategories = {};
+        }
+
         if (choices.length > 0) {
             tierData.choices = choices;
             tierData.maxChoices = parseInt(tier.querySelector('.preset-reward-max-choices').value) || 1;
         }
 
+        const excludeMerchants = tier.querySelector('.preset-reward-exclude-merchants').value.trim();
+        const excludeCategoryIds = mapCategoryText(tier.querySelector('.preset-reward-exclude-categories').value);
+        const excludeMerchantFlags = [
+            tier.querySelector('.preset-reward-exclude-superstores').checked && 'superstore',
+            tier.querySelector('.preset-reward-exclude-warehouse').checked && 'warehouse-club'
+        ].filter(Boolean);
+        if (excludeMerchants) tierData.excludeMerchants = excludeMerchants;
+        if (excludeCategoryIds.length > 0) tierData.excludeCategoryIds = excludeCategoryIds;
+        if (excludeMerchantFlags.length > 0) tierData.excludeMerchantFlags = excludeMerchantFlags;
+
         tiers.push(tierData);
     });
 
+    const baseTierErrors = validateBaseTiers(tiers);
+    if (baseTierErrors.length > 0) {
+        alert('Every card needs exactly one base rate tier per payment method:\n' + baseTierErrors.join('\n'));
+        return;
+    }
+
+    const { capGroups, errors: capGroupErrors } = buildCapGroups(tiers);
+    if (capGroupErrors.length > 0) {
+        alert('Tiers sharing a cap group must share one cap:\n' + capGroupErrors.join('\n'));
+        return;
+    }
+
     const newPreset = {
         id: 'user-' + Date.now(),
         name: document.getElementById('presetName').value,
@@ -1869,6 +3647,12 @@ async function handlePresetSubmit(e) {
         rewards: tiers,
         perks: document.getElementById('presetPerks')?.value || "User defined preset"
     };
+    if (currency) {
+        newPreset.rewardCurrency = currency.id;
+    }
+    if (Object.keys(capGroups).length > 0) {
+        newPreset.capGroups = capGroups;
+    }
 
     userPresets = [...userPresets, newPreset];
     await storage.set('userPresets', userPresets);
@@ -1947,7 +3731,7 @@ async function unlockApp() {
 // Mobile Backup Share Function
 async function handleMobileShareBackup() {
     try {
-        const allKeys = ['cards', 'payments', 'userPresets', 'biometricEnabled', 'onboardingCompleted'];
+        const allKeys = ['cards', 'payments', 'userPresets', 'pointValuations', 'merchantOverrides', 'offers', 'importProfiles', 'ofxAccounts', 'biometricEnabled', 'onboardingCompleted'];
         const data = {
             version: '2.0.0',
             exportDate: new Date().toISOString()
@@ -2027,8 +3811,8 @@ function showShortcutGuide() {
                 <h4 style="color: var(--accent-gold); margin-bottom: 12px; font-size: 1rem;">Step 2: Add Actions</h4>
                 <ol style="padding-left: 20px; color: var(--text-secondary); line-height: 1.8; font-size: 0.9rem;">
                     <li>Add <strong>Text</strong> action with:
-                        <pre style="background: var(--bg-primary); padding: 8px; border-radius: 4px; overflow-x: auto; font-size: 0.75rem; margin: 8px 0;">{"amt": [Amount], "merch": "[Merchant]"}</pre>
-                        <small style="color: var(--text-muted);">Replace with Shortcut Input variables</small>
+                        <pre style="background: var(--bg-primary); padding: 8px; border-radius: 4px; overflow-x: auto; font-size: 0.75rem; margin: 8px 0;">{"amt": [Amount], "merch": "[Merchant]", "date": "[Date]"}</pre>
+                        <small style="color: var(--text-muted);">Replace with Shortcut Input variables. <code>date</code> is optional (defaults to the import time); pass the transaction's date when catching up on older purchases.</small>
                     </li>
                     <li>Add <strong>URL Encode</strong> → Use Text above</li>
                     <li>Add <strong>URL</strong>: <code style="background: var(--bg-primary); padding: 2px 6px; border-radius: 3px; font-size: 0.75rem;">${window.location.origin}/?import=</code></li>
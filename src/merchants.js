@@ -0,0 +1,178 @@
+import { getCategory } from './categories';
+
+/**
+ * OptimalSwipe Merchant Directory
+ * Bundled, offline map of common US chains to canonical categories (see
+ * src/categories.js). Users can add their own entries in Settings; those are
+ * stored in the vault under `merchantOverrides` and take precedence.
+ */
+export const MERCHANT_FLAGS = {
+    SUPERSTORE: 'superstore',
+    WAREHOUSE_CLUB: 'warehouse-club',
+    AMEX_GROCERY: 'amex-grocery'
+};
+
+const { SUPERSTORE, WAREHOUSE_CLUB, AMEX_GROCERY } = MERCHANT_FLAGS;
+
+export const merchantDirectory = [
+    // Groceries
+    { name: 'Whole Foods', aliases: ['whole foods market', 'wholefds'], categoryId: 'groceries' },
+    { name: 'Kroger', categoryId: 'groceries' },
+    { name: 'Safeway', categoryId: 'groceries' },
+    { name: 'Trader Joe\'s', aliases: ['trader joes'], categoryId: 'groceries' },
+    { name: 'Publix', categoryId: 'groceries' },
+    { name: 'H-E-B', aliases: ['heb'], categoryId: 'groceries' },
+    { name: 'Aldi', categoryId: 'groceries' },
+    { name: 'Wegmans', categoryId: 'groceries' },
+    { name: 'Albertsons', categoryId: 'groceries' },
+    { name: 'Sprouts', aliases: ['sprouts farmers market'], categoryId: 'groceries' },
+    { name: 'Instacart', categoryId: 'groceries' },
+
+    // Superstores & wholesale clubs
+    { name: 'Walmart', aliases: ['wal-mart', 'wm supercenter', 'walmart supercenter'], categoryId: 'department-stores', flags: [SUPERSTORE] },
+    { name: 'Target', categoryId: 'department-stores', flags: [SUPERSTORE] },
+    { name: 'Meijer', categoryId: 'department-stores', flags: [AMEX_GROCERY] },
+    { name: 'Fred Meyer', categoryId: 'department-stores', flags: [AMEX_GROCERY] },
+    { name: 'Costco', aliases: ['costco whse', 'costco wholesale'], categoryId: 'wholesale-clubs', flags: [WAREHOUSE_CLUB] },
+    { name: 'Costco Gas', aliases: ['costco gasoline'], categoryId: 'gas', flags: [WAREHOUSE_CLUB] },
+    { name: 'Sam\'s Club', aliases: ['sams club'], categoryId: 'wholesale-clubs', flags: [WAREHOUSE_CLUB] },
+    { name: 'BJ\'s Wholesale', aliases: ['bjs wholesale', 'bjs'], categoryId: 'wholesale-clubs', flags: [WAREHOUSE_CLUB] },
+
+    // Dining
+    { name: 'Starbucks', categoryId: 'dining' },
+    { name: 'McDonald\'s', aliases: ['mcdonalds'], categoryId: 'dining' },
+    { name: 'Chipotle', categoryId: 'dining' },
+    { name: 'Chick-fil-A', aliases: ['chick fil a', 'chickfila'], categoryId: 'dining' },
+    { name: 'Dunkin\'', aliases: ['dunkin', 'dunkin donuts'], categoryId: 'dining' },
+    { name: 'Panera Bread', aliases: ['panera'], categoryId: 'dining' },
+    { name: 'DoorDash', aliases: ['dd doordash'], categoryId: 'food-delivery' },
+    { name: 'Uber Eats', aliases: ['ubereats'], categoryId: 'food-delivery' },
+    { name: 'Grubhub', categoryId: 'food-delivery' },
+
+    // Gas & EV
+    { name: 'Shell', categoryId: 'gas' },
+    { name: 'Chevron', categoryId: 'gas' },
+    { name: 'Exxon', aliases: ['exxonmobil', 'exxon mobil', 'mobil'], categoryId: 'gas' },
+    { name: 'BP', categoryId: 'gas' },
+    { name: 'Speedway', categoryId: 'gas' },
+    { name: 'ChargePoint', aliases: ['chargepoint'], categoryId: 'ev-charging' },
+    { name: 'Tesla Supercharger', aliases: ['tesla supercharger'], categoryId: 'ev-charging' },
+
+    // Travel
+    { name: 'Delta Air Lines', aliases: ['delta airlines'], categoryId: 'flights' },
+    { name: 'United Airlines', categoryId: 'flights' },
+    { name: 'American Airlines', categoryId: 'flights' },
+    { name: 'Southwest', aliases: ['southwest airlines'], categoryId: 'flights' },
+    { name: 'Marriott', categoryId: 'hotels' },
+    { name: 'Hilton', categoryId: 'hotels' },
+    { name: 'Hyatt', categoryId: 'hotels' },
+    { name: 'Airbnb', categoryId: 'hotels' },
+    { name: 'Booking.com', aliases: ['booking com', 'booking'], categoryId: 'hotels' },
+    { name: 'Hertz', categoryId: 'car-rentals' },
+    { name: 'Enterprise', aliases: ['enterprise rent-a-car'], categoryId: 'car-rentals' },
+    { name: 'Uber', categoryId: 'transit' },
+    { name: 'Lyft', categoryId: 'transit' },
+
+    // Drug stores
+    { name: 'CVS', aliases: ['cvs pharmacy'], categoryId: 'drugstores' },
+    { name: 'Walgreens', categoryId: 'drugstores' },
+    { name: 'Rite Aid', categoryId: 'drugstores' },
+
+    // Shopping & home
+    { name: 'Amazon', aliases: ['amazon.com', 'amzn', 'amzn mktp'], categoryId: 'online-shopping' },
+    { name: 'eBay', categoryId: 'online-shopping' },
+    { name: 'Etsy', categoryId: 'online-shopping' },
+    { name: 'Home Depot', aliases: ['the home depot'], categoryId: 'home-improvement' },
+    { name: 'Lowe\'s', aliases: ['lowes'], categoryId: 'home-improvement' },
+    { name: 'Ace Hardware', categoryId: 'home-improvement' },
+    { name: 'Macy\'s', aliases: ['macys'], categoryId: 'department-stores' },
+    { name: 'Nordstrom', categoryId: 'department-stores' },
+
+    // Streaming & entertainment
+    { name: 'Netflix', categoryId: 'streaming' },
+    { name: 'Spotify', categoryId: 'streaming' },
+    { name: 'Hulu', categoryId: 'streaming' },
+    { name: 'Disney+', aliases: ['disney plus'], categoryId: 'streaming' },
+    { name: 'AMC Theatres', aliases: ['amc'], categoryId: 'entertainment' },
+    { name: 'Ticketmaster', categoryId: 'entertainment' },
+
+    // Utilities
+    { name: 'Verizon', categoryId: 'utilities' },
+    { name: 'AT&T', aliases: ['att'], categoryId: 'utilities' },
+    { name: 'T-Mobile', aliases: ['tmobile'], categoryId: 'utilities' },
+    { name: 'Comcast', aliases: ['xfinity'], categoryId: 'utilities' }
+];
+
+// Lowercase, drop apostrophes and punctuation so "SAM'S CLUB #123" ~ "sams club 123"
+export function normalizeMerchant(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9&+.\s-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Exact name/alias match wins; otherwise the longest name/alias that starts
+// the input (card statements append store numbers and cities).
+function findEntry(entries, text) {
+    const value = normalizeMerchant(text);
+    if (!value) return null;
+
+    let best = null;
+    let bestLength = 0;
+    for (const entry of entries) {
+        const names = [entry.name, ...(entry.aliases || [])].map(normalizeMerchant);
+        for (const name of names) {
+            if (!name) continue;
+            if (name === value) return entry;
+            if (value.startsWith(`${name} `) && name.length > bestLength) {
+                best = entry;
+                bestLength = name.length;
+            }
+        }
+    }
+    return best;
+}
+
+// Directory entry for a merchant, preferring the user's override table.
+// Returns { name, categoryId, flags, source } or null.
+export function lookupMerchant(text, overrides = []) {
+    const override = findEntry(overrides.map(o => ({ name: o.merchant, categoryId: o.categoryId })), text);
+    if (override) {
+        const builtIn = findEntry(merchantDirectory, text);
+        return {
+            name: override.name,
+            categoryId: override.categoryId,
+            flags: builtIn ? builtIn.flags || [] : [],
+            source: 'override'
+        };
+    }
+
+    const entry = findEntry(merchantDirectory, text);
+    if (!entry) return null;
+    return { name: entry.name, categoryId: entry.categoryId, flags: entry.flags || [], source: 'directory' };
+}
+
+// Category a merchant codes as on a specific card. Amex codes the stores
+// flagged `amex-grocery` as U.S. supermarkets; user overrides win.
+export function getMerchantCategoryForCard(merchantInfo, card) {
+    if (!merchantInfo) return null;
+    if (merchantInfo.source === 'directory' && merchantInfo.flags.includes(AMEX_GROCERY) &&
+        card.issuer === 'American Express') {
+        return 'groceries';
+    }
+    return merchantInfo.categoryId;
+}
+
+export function describeMerchant(merchantInfo) {
+    if (!merchantInfo) return '';
+    const category = getCategory(merchantInfo.categoryId);
+    const flagLabels = {
+        [SUPERSTORE]: 'superstore',
+        [WAREHOUSE_CLUB]: 'warehouse club',
+        [AMEX_GROCERY]: 'counts as grocery for Amex'
+    };
+    return [merchantInfo.name, category ? category.name : merchantInfo.categoryId, ...merchantInfo.flags.map(f => flagLabels[f] || f)]
+        .join(' · ');
+}
@@ -0,0 +1,100 @@
+import { normalizeMerchant } from './merchants';
+
+/**
+ * OptimalSwipe Card-Linked Offers
+ * Amex Offers / Chase Offers style deals, stored in the vault under `offers`:
+ *   { id, cardId, merchant, type, value, minSpend, maxReward, expires, maxUses, uses }
+ * `type` is one of OFFER_TYPES. `expires` is an inclusive YYYY-MM-DD date,
+ * `maxUses` how many purchases can redeem it (1 for one-time offers) and
+ * `uses` records the payments that already did.
+ */
+export const OFFER_TYPES = {
+    CREDIT: 'credit',     // "Spend $50, get $10 back"
+    PERCENT: 'percent',   // "10% back, up to $20"
+    POINTS: 'points'      // "+5x points per dollar, up to 5,000 points"
+};
+
+export function isOfferExpired(offer, date = new Date()) {
+    if (!offer.expires) return false;
+    const [year, month, day] = offer.expires.split('-').map(Number);
+    return new Date(date) >= new Date(year, month - 1, day + 1);
+}
+
+export function getRemainingUses(offer) {
+    return Math.max(0, (offer.maxUses || 1) - (offer.uses || []).length);
+}
+
+// Same name/prefix rule as the merchant directory ("Target #1234" is Target)
+function matchesOfferMerchant(offer, merchant) {
+    const name = normalizeMerchant(offer.merchant);
+    const value = normalizeMerchant(merchant);
+    return !!name && !!value && (value === name || value.startsWith(`${name} `));
+}
+
+// Offers on `card` that a purchase redeems: right merchant, unexpired, uses
+// left and the minimum spend met.
+export function findQualifyingOffers(offers, card, { merchant, amount, date } = {}) {
+    return (offers || []).filter(offer =>
+        offer.cardId === card.id &&
+        matchesOfferMerchant(offer, merchant) &&
+        !isOfferExpired(offer, date || new Date()) &&
+        getRemainingUses(offer) > 0 &&
+        amount >= (offer.minSpend || 0)
+    );
+}
+
+// What an offer pays on a purchase: `amount` in its own unit (dollars, or
+// points for POINTS offers) and `value` in dollars.
+export function getOfferValue(offer, purchaseAmount, centsPerPoint = 1) {
+    let amount;
+    switch (offer.type) {
+        case OFFER_TYPES.PERCENT:
+            amount = purchaseAmount * (offer.value / 100);
+            break;
+        case OFFER_TYPES.POINTS:
+            amount = purchaseAmount * offer.value;
+            break;
+        default:
+            amount = offer.value;
+    }
+    if (offer.maxReward) amount = Math.min(amount, offer.maxReward);
+    const value = offer.type === OFFER_TYPES.POINTS ? amount * (centsPerPoint / 100) : amount;
+    return { amount, value };
+}
+
+// Record a payment against the offers it redeems. Returns the updated
+// offers list and the offers that were used.
+export function redeemOffers(offers, card, payment) {
+    const qualifying = findQualifyingOffers(offers, card, payment);
+    const usedIds = qualifying.map(o => o.id);
+    const updated = (offers || []).map(offer => usedIds.includes(offer.id) ?
+        { ...offer, uses: [...(offer.uses || []), { paymentId: payment.id, date: payment.date }] } :
+        offer
+    );
+    return { offers: updated, used: qualifying };
+}
+
+// Give back the uses a payment made of its offers, when it is deleted or
+// edited. Returns the updated offers list and the offers it had used.
+export function releaseOffers(offers, paymentId) {
+    const released = (offers || []).filter(offer => (offer.uses || []).some(use => use.paymentId === paymentId));
+    const releasedIds = released.map(o => o.id);
+    const updated = (offers || []).map(offer => releasedIds.includes(offer.id) ?
+        { ...offer, uses: offer.uses.filter(use => use.paymentId !== paymentId) } :
+        offer
+    );
+    return { offers: updated, released };
+}
+
+export function describeOffer(offer) {
+    const cap = offer.maxReward ? `, up to ${offer.type === OFFER_TYPES.POINTS ? `${offer.maxReward.toLocaleString()} points` : `$${offer.maxReward}`}` : '';
+    const threshold = offer.minSpend ? `Spend $${offer.minSpend}, get ` : '';
+    switch (offer.type) {
+        case OFFER_TYPES.PERCENT:
+            return `${threshold}${offer.value}% back${cap}`;
+        case OFFER_TYPES.POINTS:
+            return `${threshold}+${offer.value}x points${cap}`;
+        default:
+            return `${threshold}$${offer.value} back`;
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * OptimalSwipe OFX/QFX Import
+ * Reads Open Financial Exchange downloads (Quicken's QFX is the same format):
+ * OFX 1.x SGML, where leaf tags like <TRNAMT>-5.45 are never closed, and
+ * OFX 2.x XML. Statements are grouped by account, and each transaction keeps
+ * its FITID so re-importing an overlapping download doesn't duplicate it.
+ */
+
+// Leaf values are read the same way in both dialects: the text after the
+// opening tag, up to the next tag or line break.
+function readTag(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+}
+
+function readBlocks(text, tag) {
+    return text.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+// SGML escapes survive in 1.x names ("AT&amp;T")
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// "20261001", "20261001120000" or "20261001120000.000[-5:EST]". The time zone
+// is ignored and the date taken as local, which keeps the calendar day.
+export function parseOfxDate(text) {
+    const match = (text || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/);
+    if (!match) return null;
+    const [, year, month, day, hour = '12', minute = '00', second = '00'] = match;
+    return new Date(year, month - 1, day, hour, minute, second).toISOString();
+}
+
+export function isOfx(text) {
+    return /<OFX>/i.test(text || '') || /^\s*OFXHEADER:/i.test(text || '');
+}
+
+// Statements in an OFX file as [{ accountId, accountType, transactions }],
+// each transaction { fitid, type, date, amount, name, memo } with `amount`
+// as the file has it (negative for charges on card accounts).
+export function parseOfx(text) {
+    const source = text || '';
+    const statements = [
+        ...readBlocks(source, 'CCSTMTRS').map(block => ({ block, accountType: 'credit-card', from: 'CCACCTFROM' })),
+        ...readBlocks(source, 'STMTRS').map(block => ({ block, accountType: 'bank', from: 'BANKACCTFROM' }))
+    ];
+
+    return statements.map(({ block, accountType, from }) => {
+        const accountBlock = readBlocks(block, from)[0] || block;
+        return {
+            accountId: readTag(accountBlock, 'ACCTID'),
+            accountType,
+            transactions: readBlocks(block, 'STMTTRN').map(trn => ({
+                fitid: readTag(trn, 'FITID'),
+                type: readTag(trn, 'TRNTYPE').toUpperCase(),
+                date: parseOfxDate(readTag(trn, 'DTPOSTED') || readTag(trn, 'DTUSER')),
+                amount: parseFloat(readTag(trn, 'TRNAMT')),
+                name: decodeEntities(readTag(trn, 'NAME') || readTag(trn, 'PAYEE')),
+                memo: decodeEntities(readTag(trn, 'MEMO'))
+            })).filter(trn => trn.date && !isNaN(trn.amount) && trn.amount !== 0)
+        };
+    });
+}
+
+// The id stored on imported payments (`payment.fitid`). FITIDs are only
+// unique within an account, so the account is part of it.
+export function getOfxPaymentId(accountId, fitid) {
+    return fitid ? `${accountId}:${fitid}` : null;
+}
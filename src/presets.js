@@ -8,19 +8,21 @@ export const cardPresets = [
         name: "BofA Customized Cash Rewards",
         issuer: "Bank of America",
         color: "#dc2626",
+        capGroups: {
+            bonus: { spendingCap: 2500, capPeriod: "quarterly" }
+        },
         rewards: [
             {
                 rate: 3.0,
                 unit: "cashback",
                 category: "Category of Choice",
+                categoryIds: [],
                 choices: ["Dining", "Online Shopping", "Travel", "Gas & EV", "Drug Stores", "Home Improvement"],
                 method: "any",
-                capPeriod: "quarterly",
-                spendingCap: 2500,
-                combinedCap: true
+                capGroup: "bonus"
             },
-            { rate: 2.0, unit: "cashback", category: "Grocery stores & Wholesale clubs", method: "any", capPeriod: "quarterly", spendingCap: 2500, combinedCap: true },
-            { rate: 1.0, unit: "cashback", category: "All Other", categoryMatch: "all", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false }
+            { rate: 2.0, unit: "cashback", category: "Grocery stores & Wholesale clubs", categoryIds: ["groceries", "wholesale-clubs"], excludeMerchantFlags: ["superstore"], method: "any", capGroup: "bonus" },
+            { rate: 1.0, unit: "cashback", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "3% in the category of your choice, no annual fee."
     },
@@ -34,23 +36,24 @@ export const cardPresets = [
                 rate: 3.0,
                 unit: "cashback",
                 category: "Selected merchants",
+                categoryIds: [],
                 merchants: "Apple, Ace hardware, Booking.com, Chargepoint, Exxon and mobil, Hertz, Nike, Uber, Uber eats, Uber one, Walgreens",
                 method: "apple-pay",
                 capPeriod: "none",
-                spendingCap: 0,
-                combinedCap: false
+                spendingCap: 0
             },
             {
                 rate: 2.0,
                 unit: "cashback",
                 category: "Everything",
+                categoryIds: [],
                 categoryMatch: "all",
+                baseRate: true,
                 method: "apple-pay",
                 capPeriod: "none",
-                spendingCap: 0,
-                combinedCap: false
+                spendingCap: 0
             },
-            { rate: 1.0, unit: "cashback", category: "Physical Card", categoryMatch: "all", method: "physical-card", capPeriod: "none", spendingCap: 0, combinedCap: false }
+            { rate: 1.0, unit: "cashback", category: "Physical Card", categoryIds: [], categoryMatch: "all", baseRate: true, method: "physical-card", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "Daily Cash feature, No fees, Integrated with Apple Wallet."
     },
@@ -59,10 +62,11 @@ export const cardPresets = [
         name: "Capital One Venture X",
         issuer: "Capital One",
         color: "#023e8a",
+        rewardCurrency: "capital-one-miles",
         rewards: [
-            { rate: 10.0, unit: "miles", category: "Hotels & Rentals", portal: "Capital One Travel", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 5.0, unit: "miles", category: "Flights", portal: "Capital One Travel", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 2.0, unit: "miles", category: "All Other", categoryMatch: "all", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false }
+            { rate: 10.0, unit: "miles", category: "Hotels & Rentals", categoryIds: ["hotels", "car-rentals"], portal: "Capital One Travel", method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 5.0, unit: "miles", category: "Flights", categoryIds: ["flights"], portal: "Capital One Travel", method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 2.0, unit: "miles", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "$300 Travel Credit, 10k Bonus Miles, Lounge Access only for cardholder."
     },
@@ -71,11 +75,22 @@ export const cardPresets = [
         name: "Bilt Mastercard",
         issuer: "Wells Fargo",
         color: "#000000",
-        rentDayBoost: true,
+        rewardCurrency: "bilt",
+        boosts: [
+            {
+                id: "rent-day",
+                name: "Rent Day",
+                schedule: { type: "day-of-month", day: 1 },
+                multiplier: 2,
+                maxBonus: 1000,
+                excludeCategoryIds: ["rent"]
+            }
+        ],
         rewards: [
-            { rate: 3.0, unit: "points", category: "Dining", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 2.0, unit: "points", category: "Travel", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 1.0, unit: "points", category: "Rent", method: "any", capPeriod: "annual", spendingCap: 100000, combinedCap: false }
+            { rate: 3.0, unit: "points", category: "Dining", categoryIds: ["dining"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 2.0, unit: "points", category: "Travel", categoryIds: ["travel"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 1.0, unit: "points", category: "Rent", categoryIds: ["rent"], method: "any", capPeriod: "annual", spendingCap: 100000 },
+            { rate: 1.0, unit: "points", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "Earn points on rent without fees, Double points on 1st of month."
     },
@@ -84,11 +99,12 @@ export const cardPresets = [
         name: "Amex Gold",
         issuer: "American Express",
         color: "#d4af37",
+        rewardCurrency: "amex-mr",
         rewards: [
-            { rate: 4.0, unit: "points", category: "Dining", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 4.0, unit: "points", category: "Groceries", method: "any", capPeriod: "annual", spendingCap: 25000, combinedCap: false },
-            { rate: 3.0, unit: "points", category: "Travel", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 1.0, unit: "points", category: "All Other", categoryMatch: "all", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false }
+            { rate: 4.0, unit: "points", category: "Dining", categoryIds: ["dining"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 4.0, unit: "points", category: "Groceries", categoryIds: ["groceries"], excludeMerchantFlags: ["superstore", "warehouse-club"], method: "any", capPeriod: "annual", spendingCap: 25000 },
+            { rate: 3.0, unit: "points", category: "Travel", categoryIds: ["travel"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 1.0, unit: "points", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "4x on Dining/Groceries, 3x on Travel, $120 Dining Credit, $120 Uber Cash annually."
     },
@@ -97,10 +113,11 @@ export const cardPresets = [
         name: "Chase Sapphire Reserve",
         issuer: "Chase",
         color: "#1e3a8a",
+        rewardCurrency: "chase-ur",
         rewards: [
-            { rate: 3.0, unit: "points", category: "Travel", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 3.0, unit: "points", category: "Dining", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 1.0, unit: "points", category: "All Other", categoryMatch: "all", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false }
+            { rate: 3.0, unit: "points", category: "Travel", categoryIds: ["travel"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 3.0, unit: "points", category: "Dining", categoryIds: ["dining"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 1.0, unit: "points", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "3x on Travel/Dining, $300 Travel Credit, Priority Pass, No FTF."
     },
@@ -110,10 +127,10 @@ export const cardPresets = [
         issuer: "American Express",
         color: "#3b82f6",
         rewards: [
-            { rate: 6.0, category: "Groceries", method: "any", capPeriod: "annual", spendingCap: 6000, combinedCap: false },
-            { rate: 6.0, category: "Streaming", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 3.0, category: "Gas", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 1.0, category: "All Other", categoryMatch: "all", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false }
+            { rate: 6.0, category: "Groceries", categoryIds: ["groceries"], excludeMerchantFlags: ["superstore", "warehouse-club"], method: "any", capPeriod: "annual", spendingCap: 6000 },
+            { rate: 6.0, category: "Streaming", categoryIds: ["streaming"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 3.0, category: "Gas", categoryIds: ["gas"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 1.0, category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "6% back on Groceries/Streaming, 3% on Gas/Transit."
     },
@@ -122,12 +139,39 @@ export const cardPresets = [
         name: "Chase Freedom Unlimited",
         issuer: "Chase",
         color: "#2563eb",
+        rewardCurrency: "chase-ur",
         rewards: [
-            { rate: 5.0, unit: "points", category: "Travel", portal: "Chase Travel", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 3.0, unit: "points", category: "Dining", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 3.0, unit: "points", category: "Drugstores", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false },
-            { rate: 1.5, unit: "points", category: "All Other", categoryMatch: "all", method: "any", capPeriod: "none", spendingCap: 0, combinedCap: false }
+            { rate: 5.0, unit: "points", category: "Travel", categoryIds: ["travel"], portal: "Chase Travel", method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 3.0, unit: "points", category: "Dining", categoryIds: ["dining"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 3.0, unit: "points", category: "Drugstores", categoryIds: ["drugstores"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 1.5, unit: "points", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
         ],
         perks: "1.5% minimum on all purchases, no annual fee."
     },
+    {
+        id: "chase-freedom-flex",
+        name: "Chase Freedom Flex",
+        issuer: "Chase",
+        color: "#0f766e",
+        rewardCurrency: "chase-ur",
+        rewards: [
+            { rate: 5.0, unit: "points", category: "Rotating 5% Categories", categoryIds: [], rotatingCategories: {}, method: "any", capPeriod: "quarterly", spendingCap: 1500 },
+            { rate: 5.0, unit: "points", category: "Travel", categoryIds: ["travel"], portal: "Chase Travel", method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 3.0, unit: "points", category: "Dining", categoryIds: ["dining"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 3.0, unit: "points", category: "Drugstores", categoryIds: ["drugstores"], method: "any", capPeriod: "none", spendingCap: 0 },
+            { rate: 1.0, unit: "points", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
+        ],
+        perks: "5% on quarterly categories (activation required, $1,500 cap), no annual fee."
+    },
+    {
+        id: "discover-it",
+        name: "Discover it Cash Back",
+        issuer: "Discover",
+        color: "#ea580c",
+        rewards: [
+            { rate: 5.0, unit: "cashback", category: "Rotating 5% Categories", categoryIds: [], rotatingCategories: {}, method: "any", capPeriod: "quarterly", spendingCap: 1500 },
+            { rate: 1.0, unit: "cashback", category: "All Other", categoryIds: [], categoryMatch: "all", baseRate: true, method: "any", capPeriod: "none", spendingCap: 0 }
+        ],
+        perks: "5% on quarterly categories (activation required, $1,500 cap), Cashback Match in year one."
+    },
 ];
@@ -0,0 +1,57 @@
+/**
+ * OptimalSwipe Refunds
+ * A refund or statement credit is a payment with a negative `amount`. It can
+ * point at the purchase it reverses through `refundOf` (that payment's id),
+ * in which case it inherits the purchase's reward tier so cap usage nets out
+ * of the right tier. Standalone credits are matched like any other payment.
+ */
+
+// Parse amounts as the Shortcut bridge and bank exports write them:
+// "12.50", "-800", "-$800.00", "$1,200.00", "(45.00)" or "45.00 CR".
+export function parseAmount(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value || '').trim();
+    const negative = /^-|^\(.*\)$|\bCR$/i.test(text) || /^\$\s*-/.test(text);
+    const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (isNaN(number)) return NaN;
+    return negative ? -number : number;
+}
+
+export function isRefund(payment) {
+    return payment.amount < 0;
+}
+
+// How much of a purchase has been refunded so far (a positive number)
+export function getRefundedAmount(payments, paymentId) {
+    return payments
+        .filter(p => p.refundOf === paymentId)
+        .reduce((sum, p) => sum - p.amount, 0);
+}
+
+// Purchases on a card that still have something left to refund, newest first
+export function getRefundablePayments(payments, cardId) {
+    return payments
+        .filter(p => p.cardId === cardId && !isRefund(p))
+        .filter(p => getRefundedAmount(payments, p.id) < p.amount)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// Best guess at the purchase an imported refund reverses: the newest purchase
+// on the same card at the same merchant with enough left to refund.
+export function findRefundOriginal(payments, refund) {
+    const merchant = (refund.merchant || '').toLowerCase();
+    if (!merchant) return null;
+    return getRefundablePayments(payments, refund.cardId).find(p =>
+        (p.merchant || '').toLowerCase() === merchant &&
+        p.amount - getRefundedAmount(payments, p.id) >= -refund.amount &&
+        new Date(p.date) <= new Date(refund.date)
+    ) || null;
+}
+
+// Point a refund at the purchase it reverses, taking over its tier and category
+export function linkRefund(refund, original) {
+    refund.refundOf = original.id;
+    refund.rewardIndex = original.rewardIndex;
+    refund.category = original.category;
+    return refund;
+}
@@ -0,0 +1,54 @@
+/**
+ * OptimalSwipe Rotating Categories
+ * Quarterly bonus tiers (Chase Freedom Flex, Discover it) carry a
+ * `rotatingCategories` calendar keyed by quarter, e.g.
+ * { "2026-Q4": ["department-stores", "online-shopping"] }. The bonus only
+ * applies once the card is activated for that quarter; activations are
+ * stored on the card as `activatedQuarters`.
+ */
+
+// Calendar key for the quarter containing `date`, e.g. "2026-Q4"
+export function getQuarterKey(date = new Date()) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-Q${Math.floor(d.getMonth() / 3) + 1}`;
+}
+
+// "2026-Q4" -> "Q4 2026"
+export function formatQuarter(quarterKey) {
+    const [year, quarter] = quarterKey.split('-');
+    return `${quarter} ${year}`;
+}
+
+export function isRotatingTier(reward) {
+    return !!reward.rotatingCategories;
+}
+
+// Category ids a rotating tier covers in the quarter containing `date`
+// (empty when the calendar has no entry), or null for ordinary tiers.
+export function getRotatingCategoryIds(reward, date = new Date()) {
+    if (!isRotatingTier(reward)) return null;
+    return reward.rotatingCategories[getQuarterKey(date)] || [];
+}
+
+export function isQuarterActivated(card, quarterKey) {
+    return !!card && (card.activatedQuarters || []).includes(quarterKey);
+}
+
+// Rotating tiers that need attention this quarter: either the calendar has no
+// categories yet (even on an activated card, which would otherwise quietly
+// earn the base rate), or they're set but the card hasn't been activated.
+// Returns [{ card, rewardIndex, reward, quarter, categoryIds }].
+export function getPendingActivations(cards, date = new Date()) {
+    const quarter = getQuarterKey(date);
+    const pending = [];
+    cards.forEach(card => {
+        const activated = isQuarterActivated(card, quarter);
+        (card.rewards || []).forEach((reward, rewardIndex) => {
+            if (!isRotatingTier(reward)) return;
+            const categoryIds = getRotatingCategoryIds(reward, date);
+            if (activated && categoryIds.length > 0) return;
+            pending.push({ card, rewardIndex, reward, quarter, categoryIds });
+        });
+    });
+    return pending;
+}
@@ -77,7 +77,7 @@ export const storage = {
     // Export all app data to a JSON file
     async exportData() {
         try {
-            const allKeys = ['cards', 'payments', 'userPresets', 'biometricEnabled', 'onboardingCompleted'];
+            const allKeys = ['cards', 'payments', 'userPresets', 'pointValuations', 'merchantOverrides', 'offers', 'importProfiles', 'ofxAccounts', 'biometricEnabled', 'onboardingCompleted'];
             const data = {
                 version: '2.0.0',
                 exportDate: new Date().toISOString()
@@ -135,6 +135,11 @@ export const storage = {
                     if (data.cards) await this.set('cards', data.cards);
                     if (data.payments) await this.set('payments', data.payments);
                     if (data.userPresets) await this.set('userPresets', data.userPresets);
+                    if (data.pointValuations) await this.set('pointValuations', data.pointValuations);
+                    if (data.merchantOverrides) await this.set('merchantOverrides', data.merchantOverrides);
+                    if (data.offers) await this.set('offers', data.offers);
+                    if (data.importProfiles) await this.set('importProfiles', data.importProfiles);
+                    if (data.ofxAccounts) await this.set('ofxAccounts', data.ofxAccounts);
                     if (data.onboardingCompleted !== undefined) {
                         await this.set('onboardingCompleted', data.onboardingCompleted);
                     }
@@ -219,7 +224,7 @@ export const storage = {
             const handle = await get('backup_file_handle');
 
             // Collect data to sync
-            const allKeys = ['cards', 'payments', 'userPresets', 'onboardingCompleted', 'biometricEnabled'];
+            const allKeys = ['cards', 'payments', 'userPresets', 'pointValuations', 'merchantOverrides', 'offers', 'importProfiles', 'ofxAccounts', 'onboardingCompleted', 'biometricEnabled'];
             const data = {
                 version: '2.0.0',
                 exportDate: new Date().toISOString()
@@ -310,6 +315,11 @@ export const storage = {
             if (data.cards) await this.set('cards', data.cards);
             if (data.payments) await this.set('payments', data.payments);
             if (data.userPresets) await this.set('userPresets', data.userPresets);
+            if (data.pointValuations) await this.set('pointValuations', data.pointValuations);
+            if (data.merchantOverrides) await this.set('merchantOverrides', data.merchantOverrides);
+            if (data.offers) await this.set('offers', data.offers);
+            if (data.importProfiles) await this.set('importProfiles', data.importProfiles);
+            if (data.ofxAccounts) await this.set('ofxAccounts', data.ofxAccounts);
 
             // Update our sync record with this file's stats
             await set('last_pull_time', Date.now());
@@ -0,0 +1,33 @@
+import { cardPresets } from './presets';
+
+/**
+ * OptimalSwipe Reward Currency Valuations
+ * Default value of one point/mile in cents. Users can override these in
+ * Settings; overrides are stored in the vault under `pointValuations`.
+ */
+export const rewardCurrencies = [
+    { id: 'chase-ur', name: 'Chase Ultimate Rewards', unit: 'points', centsPerPoint: 1.5 },
+    { id: 'amex-mr', name: 'Amex Membership Rewards', unit: 'points', centsPerPoint: 1.2 },
+    { id: 'capital-one-miles', name: 'Capital One Miles', unit: 'miles', centsPerPoint: 1.0 },
+    { id: 'bilt', name: 'Bilt Rewards', unit: 'points', centsPerPoint: 1.5 },
+    { id: 'points', name: 'Other Points', unit: 'points', centsPerPoint: 1.0 },
+    { id: 'miles', name: 'Other Miles', unit: 'miles', centsPerPoint: 1.0 }
+];
+
+// Currency a reward tier earns in. Tiers can override the card's currency;
+// cards added before currencies existed inherit it from their preset.
+export function resolveRewardCurrency(card, reward) {
+    const unit = reward.unit || 'cashback';
+    if (unit === 'cashback') return 'cashback';
+
+    const preset = card.presetId ? cardPresets.find(p => p.id === card.presetId) : null;
+    return reward.currency || card.rewardCurrency || preset?.rewardCurrency || unit;
+}
+
+export function getCentsPerPoint(currencyId, overrides = {}) {
+    if (currencyId === 'cashback') return 100;
+    const override = parseFloat(overrides[currencyId]);
+    if (!isNaN(override) && override >= 0) return override;
+    const currency = rewardCurrencies.find(c => c.id === currencyId);
+    return currency ? currency.centsPerPoint : 1.0;
+}